@@ -0,0 +1,328 @@
+// Tenant Name Mapper Extension - Background Service Worker
+// Periodically fetches tenant mappings from the configured remote source and caches them locally,
+// keeps the sharded user mapping storage consistent, registers content scripts for self-hosted
+// Grafana and custom sites, and owns the "Tenant mapping" context menu
+
+importScripts('shared.js');
+
+(function() {
+  'use strict';
+
+  const ext = self.TenantNameExtension;
+
+  // Constants
+  const REFRESH_ALARM = 'refreshRemoteMappings';
+  const FLUSH_ALARM = 'flushFallbackMappings';
+  const FLUSH_MINUTES = 10;
+  const DEFAULT_REFRESH_MINUTES = 60;
+  const MIN_REFRESH_MINUTES = 5;
+  const CONTEXT_MENU_ID = 'tenantMappingLookup';
+  const DYNAMIC_SCRIPT_PREFIX = 'tenant-';
+
+  // Read the remote source configuration from sync storage
+  function getRemoteSource() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get([ext.REMOTE_SOURCE_KEY], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('[Tenant Background] Error loading remote source:', chrome.runtime.lastError);
+          resolve({});
+          return;
+        }
+        resolve(result[ext.REMOTE_SOURCE_KEY] || {});
+      });
+    });
+  }
+
+  // Read the cached remote mappings and fetch metadata from local storage
+  function getRemoteCache() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([ext.REMOTE_CACHE_KEY], (result) => {
+        resolve(result[ext.REMOTE_CACHE_KEY] || {});
+      });
+    });
+  }
+
+  // Write the remote cache; content scripts pick it up through setupStorageListener
+  function setRemoteCache(cache) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [ext.REMOTE_CACHE_KEY]: cache }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('[Tenant Background] Error saving remote cache:', chrome.runtime.lastError);
+        }
+        resolve(cache);
+      });
+    });
+  }
+
+  // Keep only entries with a valid UUID key and a name string or valid tenant record
+  function sanitizeRemoteMappings(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Remote source must return a JSON object of tenant ID to name or record');
+    }
+
+    const mappings = {};
+    let skipped = 0;
+    Object.entries(data).forEach(([id, value]) => {
+      const record = ext.isValidUUID(id) ? ext.normalizeTenantRecord(value) : null;
+      if (record) {
+        mappings[id] = ext.compactTenantRecord(record);
+      } else {
+        skipped++;
+      }
+    });
+    return { mappings, skipped };
+  }
+
+  // Fetch the remote source, using ETag/Last-Modified validators from the previous fetch
+  async function refreshRemoteMappings() {
+    const source = await getRemoteSource();
+    const cache = await getRemoteCache();
+
+    if (!source.enabled || !source.url) {
+      // Drop the cached layer so it no longer applies
+      if (cache.status !== 'disabled') {
+        await setRemoteCache({ status: 'disabled', mappings: {}, count: 0, fetchedAt: cache.fetchedAt || null });
+      }
+      return getRemoteCache();
+    }
+
+    // Validators only apply to the URL they were issued for
+    const sameUrl = cache.url === source.url;
+    const headers = {};
+    if (sameUrl && cache.etag) headers['If-None-Match'] = cache.etag;
+    if (sameUrl && cache.lastModified) headers['If-Modified-Since'] = cache.lastModified;
+
+    const fetchedAt = new Date().toISOString();
+
+    try {
+      const response = await fetch(source.url, { headers, cache: 'no-store', credentials: 'omit' });
+
+      if (response.status === 304 && sameUrl) {
+        console.log('[Tenant Background] Remote mappings not modified');
+        return setRemoteCache({ ...cache, status: 'not-modified', error: null, fetchedAt });
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { mappings, skipped } = sanitizeRemoteMappings(await response.json());
+      console.log('[Tenant Background] Fetched remote mappings:', Object.keys(mappings).length);
+
+      return setRemoteCache({
+        url: source.url,
+        mappings,
+        count: Object.keys(mappings).length,
+        skipped,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        status: 'ok',
+        error: null,
+        fetchedAt
+      });
+    } catch (error) {
+      console.warn('[Tenant Background] Remote mapping fetch failed:', error);
+      // Keep serving the last good copy for the same URL (offline cache)
+      const mappings = sameUrl ? (cache.mappings || {}) : {};
+      return setRemoteCache({
+        ...(sameUrl ? cache : {}),
+        url: source.url,
+        mappings,
+        count: Object.keys(mappings).length,
+        status: 'error',
+        error: error.message || String(error),
+        fetchedAt
+      });
+    }
+  }
+
+  // (Re)create the periodic refresh alarm from the current configuration
+  async function scheduleRefresh() {
+    const source = await getRemoteSource();
+    await chrome.alarms.clear(REFRESH_ALARM);
+
+    if (!source.enabled || !source.url) {
+      return;
+    }
+
+    const minutes = Math.max(MIN_REFRESH_MINUTES, Number(source.refreshMinutes) || DEFAULT_REFRESH_MINUTES);
+    chrome.alarms.create(REFRESH_ALARM, { periodInMinutes: minutes });
+    console.log('[Tenant Background] Scheduled remote refresh every', minutes, 'minutes');
+  }
+
+  // Context menu on text selections, limited to pages our content scripts run on
+  async function createContextMenu() {
+    const dynamicScripts = await getDynamicContentScripts();
+    const documentUrlPatterns = chrome.runtime.getManifest().content_scripts
+      .flatMap(script => script.matches)
+      .concat(dynamicScripts.flatMap(script => script.matches));
+
+    chrome.contextMenus.removeAll(() => {
+      chrome.contextMenus.create({
+        id: CONTEXT_MENU_ID,
+        title: 'Tenant mapping for "%s"',
+        contexts: ['selection'],
+        documentUrlPatterns
+      });
+    });
+  }
+
+  // Content scripts for hosts configured in the options page: self-hosted Grafana and custom sites
+  async function getDynamicContentScripts() {
+    const scripts = [];
+
+    const grafanaHosts = await ext.loadGrafanaHosts();
+    if (grafanaHosts.length > 0) {
+      scripts.push({
+        id: `${DYNAMIC_SCRIPT_PREFIX}grafana`,
+        name: 'Grafana',
+        matches: grafanaHosts.map(origin => `${origin}/*`),
+        js: ['shared.js', 'hover-card.js', 'content-grafana.js'],
+        css: ['styles-shared.css', 'styles-grafana.css']
+      });
+    }
+
+    const customSites = await ext.loadCustomSites();
+    customSites.forEach(site => {
+      scripts.push({
+        id: DYNAMIC_SCRIPT_PREFIX + site.id,
+        name: site.name,
+        matches: site.matches,
+        js: ['shared.js', 'hover-card.js', 'content-custom.js'],
+        css: ['styles-shared.css', 'styles-custom.css']
+      });
+    });
+
+    return scripts;
+  }
+
+  // Register the dynamic content scripts whose host permission is granted,
+  // replacing whatever was registered before
+  async function syncDynamicContentScripts() {
+    try {
+      const registered = await chrome.scripting.getRegisteredContentScripts();
+      const ids = registered.map(script => script.id).filter(id => id.startsWith(DYNAMIC_SCRIPT_PREFIX));
+      if (ids.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids });
+      }
+
+      const scripts = [];
+      for (const { name, ...script } of await getDynamicContentScripts()) {
+        const granted = await chrome.permissions.contains({ origins: script.matches });
+        if (!granted) {
+          console.warn('[Tenant Background] No host permission, skipping content script for:', name);
+          continue;
+        }
+        scripts.push({ ...script, runAt: 'document_end', persistAcrossSessions: true });
+      }
+
+      if (scripts.length > 0) {
+        await chrome.scripting.registerContentScripts(scripts);
+      }
+      console.log('[Tenant Background] Registered dynamic content scripts:', scripts.length);
+    } catch (error) {
+      console.error('[Tenant Background] Could not register dynamic content scripts:', error);
+    }
+  }
+
+  // Retry syncing shards kept on this device (sync quota or write rate limit) every few minutes
+  function scheduleFallbackFlush() {
+    chrome.alarms.create(FLUSH_ALARM, { periodInMinutes: FLUSH_MINUTES });
+  }
+
+  // Migrate single-key user mappings and name strings to records, and retry syncing
+  // shards that overflowed to local storage
+  async function maintainMappingStorage() {
+    try {
+      await ext.migrateLegacyMappings();
+      await ext.upgradeStoredRecords();
+      await ext.flushFallbackMappings();
+    } catch (error) {
+      console.warn('[Tenant Background] Mapping storage maintenance failed:', error);
+    }
+  }
+
+  chrome.runtime.onInstalled.addListener(() => {
+    createContextMenu();
+    syncDynamicContentScripts();
+    maintainMappingStorage();
+    scheduleFallbackFlush();
+    scheduleRefresh();
+    refreshRemoteMappings();
+  });
+
+  // The content script validates the selection and shows the mapping editor
+  chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId !== CONTEXT_MENU_ID || !tab || tab.id === undefined) return;
+
+    chrome.tabs.sendMessage(tab.id, {
+      type: 'tenantContextMenu',
+      selectionText: info.selectionText || ''
+    }, { frameId: info.frameId || 0 }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('[Tenant Background] No content script to handle context menu:', chrome.runtime.lastError.message);
+      }
+    });
+  });
+
+  chrome.runtime.onStartup.addListener(() => {
+    maintainMappingStorage();
+    scheduleFallbackFlush();
+    scheduleRefresh();
+    refreshRemoteMappings();
+  });
+
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === REFRESH_ALARM) {
+      refreshRemoteMappings();
+    }
+    if (alarm.name === FLUSH_ALARM) {
+      ext.flushFallbackMappings().catch(error => {
+        console.warn('[Tenant Background] Could not sync locally stored mappings:', error);
+      });
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    // Reconfigure when the options page changes the remote source
+    if (area === 'sync' && changes[ext.REMOTE_SOURCE_KEY]) {
+      scheduleRefresh();
+      refreshRemoteMappings();
+    }
+
+    // Grafana hosts or custom sites added, edited or removed in the options page
+    if (area === 'sync' && (changes[ext.CUSTOM_SITES_KEY] || changes[ext.GRAFANA_HOSTS_KEY])) {
+      syncDynamicContentScripts();
+      createContextMenu();
+    }
+
+    // Merge concurrent edits from other devices instead of letting the last writer win
+    if (ext.isUserMappingStorageChange(changes, area)) {
+      if (area === 'sync' && changes.tenantMappings && changes.tenantMappings.newValue) {
+        ext.migrateLegacyMappings();
+      }
+      ext.reconcileMappingShardChanges(changes, area).catch(error => {
+        console.warn('[Tenant Background] Could not reconcile mapping changes:', error);
+      });
+    }
+  });
+
+  // Host permissions granted or revoked in the options page or chrome://extensions
+  chrome.permissions.onAdded.addListener(syncDynamicContentScripts);
+  chrome.permissions.onRemoved.addListener(syncDynamicContentScripts);
+
+  // Manual refresh requested from the options page, and bundled mappings for Grafana and custom sites
+  // (their pages can't fetch tenant-mappings.json themselves)
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message && message.type === 'refreshRemoteMappings') {
+      refreshRemoteMappings().then(sendResponse);
+      return true; // Keep the channel open for the async response
+    }
+    if (message && message.type === 'getBundledMappings') {
+      ext.loadBundledMappings().then(sendResponse);
+      return true;
+    }
+    return false;
+  });
+
+})();
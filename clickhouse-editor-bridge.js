@@ -0,0 +1,85 @@
+// ClickHouse Tenant Name Extension - SQL Editor Bridge
+// Runs in the page's JavaScript world (the content script's isolated world can't reach the
+// editors). Reads and replaces the whole query through the editor's model: Monaco and CodeMirror
+// only render the lines in the viewport, so the DOM never holds all of a long query.
+// content-clickhouse.js marks the editor with data-tenant-editor-target and dispatches
+// tenant-editor-request; the answer comes back synchronously as tenant-editor-response.
+
+(function() {
+  'use strict';
+
+  const REQUEST_EVENT = 'tenant-editor-request';
+  const RESPONSE_EVENT = 'tenant-editor-response';
+  const TARGET_ATTRIBUTE = 'data-tenant-editor-target';
+  const EDIT_SOURCE = 'tenant-placeholders';
+
+  // Monaco editor instance rendered in (or around) the element
+  function findMonacoEditor(element) {
+    const monaco = window.monaco;
+    if (!monaco || !monaco.editor || typeof monaco.editor.getEditors !== 'function') return null;
+    return monaco.editor.getEditors().find(editor => {
+      const node = editor.getDomNode();
+      return node && (node === element || node.contains(element) || element.contains(node));
+    }) || null;
+  }
+
+  // CodeMirror 6 view of the element (its content element points back at the view)
+  function findCodeMirrorView(element) {
+    const content = element.querySelector('.cm-content');
+    const view = content && content.cmView && content.cmView.view;
+    return view && view.state && typeof view.dispatch === 'function' ? view : null;
+  }
+
+  // Whole-text access to the editor: {getText, setText}, or null if it can't be reached
+  function getEditorAccess(element) {
+    const monacoEditor = findMonacoEditor(element);
+    if (monacoEditor && monacoEditor.getModel()) {
+      const model = monacoEditor.getModel();
+      return {
+        getText: () => model.getValue(),
+        // One undoable edit over the whole model
+        setText: (text) => {
+          monacoEditor.pushUndoStop();
+          monacoEditor.executeEdits(EDIT_SOURCE, [{ range: model.getFullModelRange(), text, forceMoveMarkers: true }]);
+          monacoEditor.pushUndoStop();
+        }
+      };
+    }
+
+    const view = findCodeMirrorView(element);
+    if (view) {
+      return {
+        getText: () => view.state.doc.toString(),
+        setText: (text) => view.dispatch({ changes: { from: 0, to: view.state.doc.length, insert: text } })
+      };
+    }
+    return null;
+  }
+
+  // Handle a request: {action: 'getText'} -> {ok, text}; {action: 'setText', text} -> {ok}
+  function handleRequest(request) {
+    const element = document.querySelector(`[${TARGET_ATTRIBUTE}]`);
+    const access = element ? getEditorAccess(element) : null;
+    if (!access) return { ok: false, error: 'Editor not reachable' };
+
+    if (request.action === 'getText') {
+      return { ok: true, text: access.getText() };
+    }
+    if (request.action === 'setText' && typeof request.text === 'string') {
+      access.setText(request.text);
+      return { ok: access.getText() === request.text };
+    }
+    return { ok: false, error: 'Unknown request' };
+  }
+
+  document.addEventListener(REQUEST_EVENT, (e) => {
+    let response;
+    try {
+      response = handleRequest(JSON.parse(e.detail));
+    } catch (error) {
+      response = { ok: false, error: error.message || String(error) };
+    }
+    document.dispatchEvent(new CustomEvent(RESPONSE_EVENT, { detail: JSON.stringify(response) }));
+  });
+
+})();
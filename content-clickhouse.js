@@ -1,5 +1,8 @@
 // ClickHouse Cloud Tenant Name Extension - Content Script
-// Adds tenant names next to UUID database names in the database picker dropdown
+// Adds tenant names next to UUID database names in the database picker dropdown, the table
+// explorer, breadcrumbs, the Databases list and query insights, and to tenant UUIDs in SQL
+// console result grids. Sorts named tenants first in the database picker, where they can be
+// found by name, and expands {{tenant:<name>}} placeholders in the SQL editor before a query runs
 
 (async function() {
   'use strict';
@@ -10,6 +13,30 @@
   const RETRY_MAX = 5;
   const RETRY_INTERVAL = 500;
   const DEBOUNCE_DELAY = 150;
+  const SUGGESTIONS_MAX_RESULTS = 8;
+
+  // Elements that can hold a database name: picker options, table explorer tree items,
+  // breadcrumbs and the Databases list use links, list items and buttons as well as divs
+  const DATABASE_ELEMENT_SELECTOR = 'div, span, a, li, button, p, label, h1, h2, h3';
+  // Database picker dropdown
+  const PICKER_LISTBOX_SELECTOR = '[role="listbox"]';
+  const PICKER_OPTION_SELECTOR = '[role="option"]';
+
+  // SQL console result grids and their cells
+  const RESULT_GRID_SELECTOR = '[role="grid"], [data-testid="results-table"], table';
+  // SQL editors (Monaco in the console, CodeMirror in some dialogs); never annotated in place
+  const EDITOR_SELECTOR = '.monaco-editor, .cm-editor';
+  // The console's run-query button only: every click on a match is checked for placeholders
+  const RUN_BUTTON_SELECTORS = [
+    'button[data-testid="run-query-button"]',
+    'button[aria-label="Run query"]'
+  ].join(', ');
+  // {{tenant:HoneyBook}} in a query is replaced with the tenant's UUID
+  const TENANT_PLACEHOLDER_PATTERN = /\{\{\s*tenant\s*:\s*([^}]+?)\s*\}\}/gi;
+  // Events and marker attribute of clickhouse-editor-bridge.js (runs in the page's world)
+  const BRIDGE_REQUEST_EVENT = 'tenant-editor-request';
+  const BRIDGE_RESPONSE_EVENT = 'tenant-editor-response';
+  const BRIDGE_TARGET_ATTRIBUTE = 'data-tenant-editor-target';
 
   // Wait for shared utilities to be available
   let ext;
@@ -20,54 +47,52 @@
     return;
   }
 
-  // Process a single database name element
-  function processDatabaseElement(element) {
-    // Check if already processed
-    if (element.hasAttribute('data-tenant-processed')) {
-      return;
-    }
+  // Track whether the extension is enabled
+  let extensionEnabled = false;
 
-    // Get text content, but exclude any existing tenant labels
-    let databaseName = element.textContent.trim();
-    const existingLabel = element.querySelector('.tenant-name-label');
-    if (existingLabel) {
-      databaseName = databaseName.replace(existingLabel.textContent, '').trim();
-    }
-    
-    // Only process if it's a UUID
-    if (!ext.isValidUUID(databaseName)) {
-      element.setAttribute('data-tenant-processed', 'true');
-      return;
-    }
+  // Observers, timers and listeners; a session lasts while the site is enabled
+  const lifecycle = ext.getLifecycle('clickhouse');
 
-    const tenantName = ext.getTenantName(databaseName);
-    
-    // Only add tenant name if we have a mapping (not "Unknown")
-    if (tenantName === 'Unknown') {
-      element.setAttribute('data-tenant-processed', 'true');
-      return;
-    }
+  // Whether unmapped UUID database names get an "Unknown" label (see loadClickhouseShowUnmapped)
+  let showUnmapped = false;
 
-    // Check if tenant label already exists
-    if (existingLabel) {
-      element.setAttribute('data-tenant-processed', 'true');
-      return;
+  // Tenant IDs seen in the database picker, offered when typing a tenant name in its search field
+  const pickerTenants = new Set();
+
+  // Open tenant suggestions under the picker search field: {field, suggestions, index, element}
+  let suggest = null;
+
+  // Picker options, tree items and result cells are recycled while scrolling; the engine
+  // re-renders changed values. The editor's DOM belongs to the editor.
+  const annotator = ext.createAnnotator({
+    name: 'ClickHouse',
+    skipSelector: `${EDITOR_SELECTOR}, .tenant-name-label, .tenant-db-suggestions, script, style`,
+    onUpdate: () => {
+      if (extensionEnabled) sortDatabasePickers();
     }
+  });
 
-    // Create tenant name label
-    const tenantLabel = document.createElement('span');
-    tenantLabel.className = 'tenant-name-label';
-    tenantLabel.textContent = ` (${tenantName})`;
-    
-    // Append to the database name element
-    element.appendChild(tenantLabel);
+  // "(Unknown)" label that opens the mapping editor for the tenant
+  function createUnknownLabel(tenantId) {
+    const label = document.createElement('span');
+    label.className = 'tenant-name-label tenant-name-unknown';
+    label.textContent = ' (Unknown)';
+    label.title = 'Click to name this tenant';
 
-    // Mark as processed
-    element.setAttribute('data-tenant-processed', 'true');
-    console.log('[ClickHouse Extension] Added tenant name for:', databaseName);
+    // Don't let the picker or tree select the database underneath
+    label.addEventListener('mousedown', (e) => e.stopPropagation());
+    label.addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const savedName = await ext.openTenantEditor({ tenantId, anchor: label });
+      if (savedName) {
+        console.log('[ClickHouse Extension] Named tenant', tenantId, 'as', savedName);
+      }
+    });
+    return label;
   }
 
-  // Check if text content looks like a UUID (possibly with tenant label appended)
+  // Check if text content starts with a UUID (possibly with tenant label appended)
   function containsUUID(text) {
     if (!text) return false;
     // Check if text starts with a UUID pattern
@@ -75,117 +100,399 @@
     return uuidMatch !== null;
   }
 
-  // Process all database name elements
-  function processAllDatabaseElements() {
-    // Find all elements that might contain UUIDs
-    const allElements = document.querySelectorAll('div, span');
-    
-    allElements.forEach(element => {
-      // Skip if already processed
-      if (element.hasAttribute('data-tenant-processed')) {
-        return;
-      }
-      
-      // Early bailout: skip elements with many children to reduce unnecessary processing
-      // This optimization reduces processing overhead on large container elements
-      if (element.childElementCount > 5) {
-        return;
-      }
-      
-      // Get direct text content (not from children)
-      const directText = Array.from(element.childNodes)
-        .filter(node => node.nodeType === Node.TEXT_NODE)
-        .map(node => node.textContent.trim())
-        .join('');
-      
-      // Check if this element directly contains a UUID
-      if (directText && ext.isValidUUID(directText)) {
-        processDatabaseElement(element);
-        return;
-      }
-      
-      // Also check full text content for elements with minimal children
-      if (element.childElementCount <= 1) {
-        const text = element.textContent?.trim();
-        if (text && containsUUID(text) && ext.isValidUUID(text.substring(0, 36))) {
-          processDatabaseElement(element);
-        }
-      }
+  // Check if text contains a UUID anywhere (database names may wrap it, e.g. tenant_{uuid})
+  function mentionsUUID(text) {
+    return /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i.test(text || '');
+  }
+
+  // Check whether an element can hold a database name the rules recognize
+  function isDatabaseElement(element) {
+    if (!element.matches(DATABASE_ELEMENT_SELECTOR)) return false;
+
+    // Early bailout: skip elements with many children to reduce unnecessary processing
+    if (element.childElementCount > 5) return false;
+
+    // This element's own text is a database name the rules recognize
+    const directText = ext.getDirectTextContent(element);
+    if (directText && ext.extractTenantId('clickhouse', 'databaseName', directText)) return true;
+
+    // Also check full text content for elements with minimal children
+    if (element.childElementCount <= 1) {
+      const text = element.textContent.trim();
+      return containsUUID(text) && ext.isValidUUID(text.substring(0, 36));
+    }
+    return false;
+  }
+
+  // Database name text, without our own label
+  function getDatabaseName(element) {
+    const label = element.querySelector('.tenant-name-label');
+    const text = element.textContent.trim();
+    return label ? text.replace(label.textContent, '').trim() : text;
+  }
+
+  // Result grid cells: tenant UUIDs in values. Values use the attribute rules; the Databases
+  // list and query insights tables show database names.
+  annotator.register({
+    name: 'result-cell',
+    matchText: mentionsUUID,
+    match: element => element.closest(RESULT_GRID_SELECTOR) !== null && annotator.isLeaf(element),
+    extract: value => ext.extractTenantId('clickhouse', 'attribute', value) ||
+      ext.extractTenantId('clickhouse', 'databaseName', value),
+    label: { className: 'tenant-name-label tenant-result-label' }
+  });
+
+  // Database names in the picker, table explorer, breadcrumbs and Databases list: the element
+  // holding the text, or its parent when the name is split across a child
+  annotator.register({
+    name: 'database-name',
+    matchText: mentionsUUID,
+    match: element => {
+      if (element.closest(RESULT_GRID_SELECTOR)) return null;
+      if (isDatabaseElement(element)) return element;
+      const parent = element.parentElement;
+      return parent && !parent.closest(RESULT_GRID_SELECTOR) && isDatabaseElement(parent) ? parent : null;
+    },
+    read: getDatabaseName,
+    extract: value => ext.extractTenantId('clickhouse', 'databaseName', value),
+    // Unmapped UUIDs get an "Unknown" label when configured (see loadClickhouseShowUnmapped)
+    unmapped: true,
+    render: (element, tenantIds) => {
+      const tenantName = ext.getTenantName(tenantIds[0]);
+      if (tenantName === 'Unknown' && !showUnmapped) return null;
+      const label = tenantName === 'Unknown'
+        ? createUnknownLabel(tenantIds[0])
+        : ext.createTenantLabel(tenantIds[0], { text: ` (${tenantName})` });
+      element.appendChild(label);
+      return label;
+    }
+  });
+
+  // Tenant ID a picker option stands for, if any
+  function getOptionTenantId(option) {
+    const annotated = option.matches('[data-tenant-id]') ? option : option.querySelector('[data-tenant-id]');
+    return annotated ? annotated.getAttribute('data-tenant-id') : null;
+  }
+
+  // List named tenants first in the database picker, alphabetically, then the other databases in
+  // their original order. Uses the CSS order property so the picker's own DOM stays untouched.
+  function sortDatabasePickers() {
+    document.querySelectorAll(PICKER_LISTBOX_SELECTOR).forEach(listbox => {
+      const options = Array.from(listbox.querySelectorAll(PICKER_OPTION_SELECTOR));
+      const tenantIds = options.map(getOptionTenantId);
+      tenantIds.forEach(tenantId => {
+        if (tenantId) pickerTenants.add(tenantId);
+      });
+      if (options.length < 2) return;
+
+      // Virtualized lists position their options absolutely; ordering can't apply there
+      const container = options[0].parentElement;
+      if (options.some(option => option.parentElement !== container)) return;
+      if (getComputedStyle(options[0]).position === 'absolute') return;
+
+      const entries = options.map((option, index) => {
+        const tenantName = ext.getTenantName(tenantIds[index]);
+        return { option, index, name: tenantName === 'Unknown' ? null : tenantName };
+      });
+      if (!entries.some(entry => entry.name)) return;
+
+      entries.sort((a, b) => {
+        if (a.name && b.name) return a.name.localeCompare(b.name);
+        if (a.name || b.name) return a.name ? -1 : 1;
+        return a.index - b.index;
+      });
+      container.classList.add('tenant-picker-sorted');
+      entries.forEach((entry, order) => {
+        entry.option.style.order = order;
+      });
     });
   }
 
-  // Process database names whenever they appear
+  // Search field of the database picker (the combobox input, or an input in the picker popover)
+  function isPickerSearchField(field) {
+    if (!(field instanceof HTMLInputElement)) return false;
+    if (field.matches('[role="combobox"], [aria-autocomplete]')) return true;
+    const popover = field.closest('[role="dialog"], [role="menu"], [data-radix-popper-content-wrapper]');
+    return Boolean(popover && popover.querySelector(PICKER_LISTBOX_SELECTOR));
+  }
+
+  // Picker tenants whose name contains the query, best matches first
+  function findTenantSuggestions(query) {
+    const needle = query.toLowerCase();
+    return Array.from(pickerTenants)
+      .map(id => ({ id, name: ext.getTenantName(id) }))
+      .filter(entry => entry.name !== 'Unknown' && entry.name.toLowerCase().includes(needle))
+      .map(entry => ({ ...entry, prefix: entry.name.toLowerCase().startsWith(needle) }))
+      .sort((a, b) => (a.prefix !== b.prefix ? (a.prefix ? -1 : 1) : a.name.localeCompare(b.name)))
+      .slice(0, SUGGESTIONS_MAX_RESULTS);
+  }
+
+  // Show or update the suggestion list under the picker search field
+  function renderSuggestions() {
+    if (!suggest.element) {
+      suggest.element = document.createElement('div');
+      suggest.element.className = 'tenant-db-suggestions';
+      // Keep the focus in the search field when picking with the mouse
+      suggest.element.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const item = e.target.closest('.tenant-db-suggestion');
+        if (item) acceptSuggestion(Number(item.getAttribute('data-index')));
+      });
+      document.body.appendChild(suggest.element);
+    }
+
+    suggest.element.replaceChildren(...suggest.suggestions.map((suggestion, index) => {
+      const item = document.createElement('div');
+      item.className = 'tenant-db-suggestion';
+      item.classList.toggle('tenant-db-suggestion-active', index === suggest.index);
+      item.setAttribute('data-index', index);
+
+      const name = document.createElement('span');
+      name.className = 'tenant-db-suggestion-name';
+      name.textContent = suggestion.name;
+      ext.applyTenantBadge(name, suggestion.id);
+
+      const id = document.createElement('span');
+      id.className = 'tenant-db-suggestion-id';
+      id.textContent = `${suggestion.id.substring(0, 8)}...`;
+
+      item.append(name, id);
+      return item;
+    }));
+
+    const rect = suggest.field.getBoundingClientRect();
+    suggest.element.style.top = `${rect.bottom + 4}px`;
+    suggest.element.style.left = `${Math.max(8, rect.left)}px`;
+  }
+
+  function closeSuggestions() {
+    if (suggest && suggest.element) {
+      suggest.element.remove();
+    }
+    suggest = null;
+  }
+
+  // Search the picker for the chosen tenant's database, the way React expects a value change
+  function acceptSuggestion(index) {
+    if (!suggest || !suggest.suggestions[index]) return;
+    const { field } = suggest;
+    const tenantId = suggest.suggestions[index].id;
+    closeSuggestions();
+
+    Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set.call(field, tenantId);
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.focus();
+  }
+
+  // Offer named tenants while typing in the picker search field
+  function handlePickerInput(e) {
+    const field = e.target;
+    if (!extensionEnabled || !isPickerSearchField(field)) {
+      closeSuggestions();
+      return;
+    }
+
+    // UUIDs (and prefixes of them) are left to the picker's own filtering
+    const query = field.value.trim();
+    const suggestions = query.length >= 2 && !/^[0-9a-f-]+$/i.test(query) ? findTenantSuggestions(query) : [];
+    if (suggestions.length === 0) {
+      closeSuggestions();
+      return;
+    }
+
+    const element = suggest ? suggest.element : null;
+    suggest = { field, suggestions, index: 0, element };
+    renderSuggestions();
+  }
+
+  // Navigate the suggestions; runs before the picker's own key handling
+  function handlePickerKeydown(e) {
+    if (!suggest || e.target !== suggest.field) return;
+
+    const count = suggest.suggestions.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      suggest.index = (suggest.index + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+      renderSuggestions();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      acceptSuggestion(suggest.index);
+    } else if (e.key === 'Escape') {
+      closeSuggestions();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+  }
+
+  // Find named tenants in the database picker by typing their name
+  function setupPickerSearch() {
+    lifecycle.listen(document, 'input', handlePickerInput, true);
+    lifecycle.listen(window, 'keydown', handlePickerKeydown, true);
+    lifecycle.listen(document, 'focusout', (e) => {
+      if (suggest && e.target === suggest.field) closeSuggestions();
+    }, true);
+  }
+
+  // Scan the whole page for database names and result grid values
   function processDropdown() {
-    processAllDatabaseElements();
+    if (!extensionEnabled) return;
+    annotator.process();
   }
 
-  // Clear processed markers to allow reprocessing
-  function clearProcessedMarkers() {
-    document.querySelectorAll('[data-tenant-processed]').forEach(item => {
-      item.removeAttribute('data-tenant-processed');
-      // Remove existing tenant labels
-      const labels = item.querySelectorAll('.tenant-name-label');
-      labels.forEach(label => label.remove());
-    });
+  // The SQL editor the event happened in (or the first one on the page, for the run button)
+  function findEditor(target) {
+    const editor = target instanceof Element ? target.closest(EDITOR_SELECTOR) : null;
+    return editor || document.querySelector(EDITOR_SELECTOR);
   }
 
-  // Handle when mappings are updated
-  function handleMappingsUpdate() {
-    console.log('[ClickHouse Extension] Mappings updated, reprocessing');
-    clearProcessedMarkers();
-    processDropdown();
+  // Text of the lines the editor rendered. Monaco and CodeMirror only render the lines in the
+  // viewport, so this is not the whole query; it is only used to spot placeholders when the
+  // editor bridge can't be reached. Monaco renders lines absolutely positioned, so they are
+  // sorted by their offset; CodeMirror renders them in order.
+  function getRenderedEditorText(editor) {
+    if (editor.classList.contains('cm-editor')) {
+      return Array.from(editor.querySelectorAll('.cm-line')).map(line => line.textContent).join('\n');
+    }
+    return Array.from(editor.querySelectorAll('.view-lines .view-line'))
+      .sort((a, b) => parseFloat(a.style.top) - parseFloat(b.style.top))
+      .map(line => line.textContent.replace(/\u00a0/g, ' '))
+      .join('\n');
   }
 
-  // Set up observer for new database elements appearing
-  function observeForDatabaseElements() {
-    let debounceTimer = null;
-    
-    const observer = new MutationObserver((mutations) => {
-      let shouldProcess = false;
-      
-      // Check if any new elements were added that might contain UUIDs
-      for (const mutation of mutations) {
-        if (mutation.addedNodes.length > 0) {
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              // Check if this node or its children contain UUIDs
-              const text = node.textContent?.trim();
-              if (text && containsUUID(text)) {
-                shouldProcess = true;
-                break;
-              }
-            }
-          }
-          if (shouldProcess) break;
-        }
+  // Ask clickhouse-editor-bridge.js about an editor. Events dispatched across worlds are handled
+  // synchronously, so this returns the bridge's response (or null if the bridge isn't there).
+  function callEditorBridge(editor, request) {
+    let response = null;
+    const handleResponse = (e) => {
+      try {
+        response = JSON.parse(e.detail);
+      } catch (error) {
+        response = null;
       }
+    };
 
-      if (shouldProcess) {
-        // Debounce to avoid processing too frequently during rapid DOM updates
-        if (debounceTimer) {
-          clearTimeout(debounceTimer);
-        }
-        debounceTimer = setTimeout(() => {
-          console.log('[ClickHouse Extension] New database elements detected');
-          processAllDatabaseElements();
-          debounceTimer = null;
-        }, DEBOUNCE_DELAY);
-      }
+    document.addEventListener(BRIDGE_RESPONSE_EVENT, handleResponse);
+    editor.setAttribute(BRIDGE_TARGET_ATTRIBUTE, '');
+    try {
+      document.dispatchEvent(new CustomEvent(BRIDGE_REQUEST_EVENT, { detail: JSON.stringify(request) }));
+    } finally {
+      editor.removeAttribute(BRIDGE_TARGET_ATTRIBUTE);
+      document.removeEventListener(BRIDGE_RESPONSE_EVENT, handleResponse);
+    }
+    return response;
+  }
+
+  // Replace every placeholder with its tenant's UUID; collects the names that can't be resolved
+  function expandTenantPlaceholders(query) {
+    const errors = [];
+    const expanded = query.replace(TENANT_PLACEHOLDER_PATTERN, (placeholder, name) => {
+      const tenantIds = ext.findTenantIdsByName(name);
+      if (tenantIds.length === 1) return tenantIds[0];
+      errors.push(tenantIds.length === 0
+        ? `no tenant is named "${name}"`
+        : `"${name}" matches ${tenantIds.length} tenants`);
+      return placeholder;
     });
+    return { expanded, errors };
+  }
+
+  // Check for placeholders without touching the pattern's lastIndex
+  function hasTenantPlaceholder(text) {
+    return text.search(TENANT_PLACEHOLDER_PATTERN) !== -1;
+  }
+
+  // Expand placeholders before the query runs. Returns true if the run may go ahead as is.
+  function prepareQueryRun(target) {
+    if (!extensionEnabled) return true;
+    const editor = findEditor(target);
+    if (!editor) return true;
+
+    // The whole query comes from the editor's model; without the bridge only the rendered lines
+    // can be checked, so placeholders there block the run instead of being half expanded
+    const bridged = callEditorBridge(editor, { action: 'getText' });
+    if (!bridged || !bridged.ok) {
+      if (!hasTenantPlaceholder(getRenderedEditorText(editor))) return true;
+      console.warn('[ClickHouse Extension] Editor bridge unavailable:', bridged ? bridged.error : 'no response');
+      ext.showTenantNotice('Query not run: the whole query could not be read to expand its tenant placeholders. ' +
+        'Replace them with tenant IDs and run it again', 'error');
+      return false;
+    }
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
+    const query = bridged.text;
+    if (!hasTenantPlaceholder(query)) return true;
+
+    // Resolve the names first, so nothing changes in the editor when one is wrong
+    const { expanded, errors } = expandTenantPlaceholders(query);
+    if (errors.length > 0) {
+      ext.showTenantNotice(`Query not run: ${errors.join('; ')}`, 'error');
+      return false;
+    }
+
+    const replaced = callEditorBridge(editor, { action: 'setText', text: expanded });
+    if (!replaced || !replaced.ok) {
+      ext.showTenantNotice('Query not run: could not expand the tenant placeholders in the editor', 'error');
+      return false;
+    }
+    console.log('[ClickHouse Extension] Expanded tenant placeholders');
+
+    // Run the expanded query once the editor has re-rendered it
+    const runButton = document.querySelector(RUN_BUTTON_SELECTORS);
+    if (runButton) {
+      lifecycle.setTimeout(() => runButton.click(), DEBOUNCE_DELAY);
+    } else {
+      ext.showTenantNotice('Tenant placeholders expanded - run the query again');
+    }
+    return false;
+  }
+
+  // Intercept the run shortcut and button before the console sees them
+  function setupPlaceholderExpansion() {
+    lifecycle.listen(window, 'keydown', (e) => {
+      if (e.key !== 'Enter' || !(e.ctrlKey || e.metaKey)) return;
+      if (!(e.target instanceof Element) || !e.target.closest(EDITOR_SELECTOR)) return;
+      if (prepareQueryRun(e.target)) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }, true);
+
+    lifecycle.listen(window, 'click', (e) => {
+      const button = e.target instanceof Element ? e.target.closest(RUN_BUTTON_SELECTORS) : null;
+      if (!button || prepareQueryRun(button)) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }, true);
+  }
+
+  // Restore the picker's own order
+  function restorePickerOrder() {
+    document.querySelectorAll('.tenant-picker-sorted').forEach(container => {
+      container.classList.remove('tenant-picker-sorted');
+      container.querySelectorAll(PICKER_OPTION_SELECTOR).forEach(option => option.style.removeProperty('order'));
     });
+  }
 
-    console.log('[ClickHouse Extension] Set up database element observer');
+  // Re-render every label, e.g. after mappings or the unmapped-UUID setting changed
+  function reprocessAll() {
+    if (!extensionEnabled) return;
+    restorePickerOrder();
+    annotator.refresh();
+  }
+
+  // Handle when mappings are updated
+  function handleMappingsUpdate() {
+    console.log('[ClickHouse Extension] Mappings updated, reprocessing');
+    reprocessAll();
   }
 
   // Initialize the extension
   async function initExtension() {
     console.log('[ClickHouse Extension] Initializing...');
 
+    // Ends the previous session, so re-enabling never duplicates observers or timers
+    const session = lifecycle.start();
     const result = await ext.initSite('clickhouse');
+    if (!session.active) return; // Disabled again while loading
     if (!result.ok) {
       if (result.disabled) {
         console.log('[ClickHouse Extension] ClickHouse Cloud is disabled in settings');
@@ -195,23 +502,31 @@
       return;
     }
 
+    extensionEnabled = true;
+    // Remove the suggestions and the picker order when the session ends (the labels go with the annotator)
+    session.add(() => {
+      extensionEnabled = false;
+      closeSuggestions();
+      restorePickerOrder();
+    });
+    showUnmapped = await ext.loadClickhouseShowUnmapped();
+    if (!session.active) return;
+
     // Try to process any existing database elements
     processDropdown();
 
-    // Set up observer for new database elements
-    observeForDatabaseElements();
-
-    // Set up storage change listener
-    ext.setupStorageListener(handleMappingsUpdate);
+    // Only the added and changed nodes are scanned, in idle time
+    annotator.observe(session);
+    console.log('[ClickHouse Extension] Set up database element observer');
 
     // For SPAs: retry processing a few times during initial load
     // This catches elements that render after the initial scan
     let retryCount = 0;
-    const retryInterval = setInterval(() => {
+    const stopRetries = session.setInterval(() => {
       retryCount++;
-      processAllDatabaseElements();
+      processDropdown();
       if (retryCount >= RETRY_MAX) {
-        clearInterval(retryInterval);
+        stopRetries();
         console.log('[ClickHouse Extension] Initial retry scans complete');
       }
     }, RETRY_INTERVAL);
@@ -219,16 +534,36 @@
     console.log('[ClickHouse Extension] Initialization complete');
   }
 
+  // Set up storage change listener
+  ext.setupStorageListener(handleMappingsUpdate);
+
+  // Answer the toolbar popup
+  ext.setupDetectedTenantsListener('clickhouse');
+
+  // Handle the "Tenant mapping" context menu
+  ext.setupContextMenuListener();
+
+  // Tenant details and deep links on hover
+  ext.setupTenantHoverCard('clickhouse');
+
+  // Expand {{tenant:<name>}} placeholders before queries run
+  setupPlaceholderExpansion();
+
+  // Find named tenants in the database picker by typing their name
+  setupPickerSearch();
+
+  // Re-label database names when the unmapped-UUID setting changes in the options page
+  lifecycle.onStorageChanged(async (changes, area) => {
+    if (area !== 'sync' || !changes[ext.CLICKHOUSE_SHOW_UNMAPPED_KEY]) return;
+    showUnmapped = await ext.loadClickhouseShowUnmapped();
+    reprocessAll();
+  });
+
   // Listen for site settings changes
   ext.setupSiteSettingsListener('clickhouse', {
     onDisabled: () => {
       console.log('[ClickHouse Extension] Disabled via settings, cleaning up');
-      // Remove any added tenant labels
-      document.querySelectorAll('.tenant-name-label').forEach(label => label.remove());
-      // Clear processed markers
-      document.querySelectorAll('[data-tenant-processed]').forEach(el => {
-        el.removeAttribute('data-tenant-processed');
-      });
+      lifecycle.stop();
     },
     onEnabled: () => {
       console.log('[ClickHouse Extension] Enabled via settings, reinitializing');
@@ -238,7 +573,7 @@
 
   // Start the extension
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initExtension);
+    lifecycle.listen(document, 'DOMContentLoaded', initExtension);
   } else {
     initExtension();
   }
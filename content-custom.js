@@ -0,0 +1,154 @@
+// Custom Site Tenant Name Extension - Content Script
+// Generic adapter for user-defined sites: declares the configured elements as an annotation
+// target, extracting tenant IDs with the chosen rule set. Registered at runtime by the
+// background worker for each custom site's match pattern.
+
+(async function() {
+  'use strict';
+
+  // Constants
+  const SHARED_UTILS_MAX_ATTEMPTS = 50;
+  const SHARED_UTILS_INTERVAL = 100;
+  const RETRY_MAX = 5;
+  const RETRY_INTERVAL = 500;
+  const DEBOUNCE_DELAY = 150;
+
+  // Overlapping custom sites inject this script more than once into the same page
+  if (window.__tenantCustomSiteLoaded) return;
+  window.__tenantCustomSiteLoaded = true;
+
+  // Wait for shared utilities to be available
+  let ext;
+  try {
+    ext = await window.TenantNameExtension.waitForReady(SHARED_UTILS_MAX_ATTEMPTS, SHARED_UTILS_INTERVAL);
+  } catch (error) {
+    console.error('[Custom Site Extension] Shared utilities not loaded after retries:', error);
+    return;
+  }
+
+  // Custom site matching this page (first one wins if several match)
+  const site = (await ext.loadCustomSites()).find(candidate =>
+    candidate.matches.some(pattern => ext.matchPatternToRegExp(pattern).test(location.href))
+  );
+  if (!site) {
+    console.log('[Custom Site Extension] No custom site matches', location.href);
+    return;
+  }
+
+  // The site's selector comes from the options page; an invalid one would break every pass
+  try {
+    document.querySelector(site.selector);
+  } catch (error) {
+    console.error('[Custom Site Extension] Invalid selector for', site.name, error);
+    return;
+  }
+
+  let extensionEnabled = false;
+
+  // Observers, timers and listeners; a session lasts while the site is enabled
+  const lifecycle = ext.getLifecycle(site.id);
+
+  // Text to extract the tenant ID from: links scanned for URLs use their href
+  function getElementText(element) {
+    if (site.field === 'url' && element.hasAttribute('href')) {
+      return element.getAttribute('href');
+    }
+    // Exclude our own label from the text
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('.tenant-name-label').forEach(label => label.remove());
+    return clone.textContent.trim();
+  }
+
+  const annotator = ext.createAnnotator({ name: site.name, debounceMs: DEBOUNCE_DELAY });
+
+  // The configured elements, with the chosen rule set
+  annotator.register({
+    name: 'element',
+    selector: site.selector,
+    read: getElementText,
+    extract: value => ext.extractTenantId(site.ruleSite, site.field, value)
+  });
+
+  // Process all elements matching the site's selector
+  function processAllElements() {
+    if (!extensionEnabled) return;
+    annotator.process();
+  }
+
+  // Handle when mappings are updated
+  function handleMappingsUpdate() {
+    if (!extensionEnabled) return;
+    console.log('[Custom Site Extension] Mappings updated, reprocessing');
+    annotator.refresh();
+  }
+
+  // Initialize the extension
+  async function initExtension() {
+    console.log('[Custom Site Extension] Initializing for', site.name);
+
+    // Ends the previous session, so re-enabling never duplicates observers or timers
+    const session = lifecycle.start();
+    const result = await ext.initSite(site.id);
+    if (!session.active) return; // Disabled again while loading
+    if (!result.ok) {
+      if (result.disabled) {
+        console.log('[Custom Site Extension]', site.name, 'is disabled in settings');
+      } else {
+        console.error('[Custom Site Extension] Failed to initialize:', result.error || 'Unknown error');
+      }
+      return;
+    }
+
+    extensionEnabled = true;
+    session.add(() => {
+      extensionEnabled = false;
+    });
+    processAllElements();
+    annotator.observe(session);
+    console.log('[Custom Site Extension] Set up element observer for', site.name);
+
+    // For SPAs: retry processing a few times during initial load
+    let retryCount = 0;
+    const stopRetries = session.setInterval(() => {
+      retryCount++;
+      processAllElements();
+      if (retryCount >= RETRY_MAX) {
+        stopRetries();
+      }
+    }, RETRY_INTERVAL);
+
+    console.log('[Custom Site Extension] Initialization complete');
+  }
+
+  // Set up storage change listener
+  ext.setupStorageListener(handleMappingsUpdate);
+
+  // Answer the toolbar popup
+  ext.setupDetectedTenantsListener(site.name);
+
+  // Handle the "Tenant mapping" context menu
+  ext.setupContextMenuListener();
+
+  // Tenant details and deep links on hover
+  ext.setupTenantHoverCard(site.id);
+
+  // Listen for site settings changes
+  ext.setupSiteSettingsListener(site.id, {
+    onDisabled: () => {
+      console.log('[Custom Site Extension] Disabled via settings, cleaning up');
+      lifecycle.stop();
+    },
+    onEnabled: () => {
+      console.log('[Custom Site Extension] Enabled via settings, reinitializing');
+      initExtension();
+    }
+  });
+
+  // Start the extension
+  if (document.readyState === 'loading') {
+    lifecycle.listen(document, 'DOMContentLoaded', initExtension);
+  } else {
+    initExtension();
+  }
+
+})();
@@ -1,5 +1,8 @@
 // Datadog Log Explorer Tenant Name Extension - Content Script
-// Adds tenant names next to accountId UUIDs in the JSON viewer panel
+// Adds tenant names next to accountId UUIDs in the JSON viewer panel, trace URLs and
+// a tenant column in the Log Explorer list, with a per-tenant summary bar above the list.
+// Also autocompletes "tenant:<name>" in the log and trace search bars to a tenant filter, and
+// annotates metric groups (account_id:<uuid>) on dashboards and monitors.
 
 (async function() {
   'use strict';
@@ -10,6 +13,38 @@
   const RETRY_MAX = 5;
   const RETRY_INTERVAL = 500;
   const DEBOUNCE_DELAY = 100;
+  const SUMMARY_COLLAPSED_KEY = 'datadogLogSummaryCollapsed';
+
+  // Log Explorer list. Rows are virtualized, so only the visible lines are in the DOM
+  // and row elements are reused for other log lines while scrolling.
+  const LOG_LIST_SELECTOR = '[data-testid="logs-list"], [data-testid="log-list"], .logs-list';
+  const LOG_ROW_SELECTOR = '[role="row"]';
+  const LOG_CELL_SELECTOR = '[role="cell"], [role="gridcell"]';
+  const LOG_HEADER_CELL_SELECTOR = '[role="columnheader"]';
+
+  // Dashboards and monitors: metric groups in graph legends, tooltips, top lists and the
+  // monitor status group table
+  const GRAPH_PAGE_PATTERN = /^\/(dashboard|dash|screen|monitors)(\/|$)/;
+  const GRAPH_SKIP_SELECTOR = [
+    'svg',
+    'button',
+    'input',
+    'textarea',
+    'script',
+    'style',
+    '[contenteditable="true"]',
+    '.druids_misc_json-viewer_row-layout',
+    '.tenant-name-label',
+    '.tenant-name-label-url',
+    '.tenant-ext-card',
+    '.tenant-ext-autocomplete'
+  ].join(', ');
+
+  // Search bar autocomplete on the log and trace explorers
+  const AUTOCOMPLETE_PAGE_PATTERN = /^\/(logs|apm)(\/|$)/;
+  const AUTOCOMPLETE_TOKEN_PATTERN = /(?:^|\s)(tenant:(\S*))$/i;
+  const AUTOCOMPLETE_MAX_RESULTS = 8;
+  const SEARCH_BAR_SELECTOR = '[role="combobox"], [role="searchbox"], [data-testid*="search"], [class*="search-bar"], [class*="query-editor"]';
 
   // Wait for shared utilities to be available
   let ext;
@@ -20,364 +55,541 @@
     return;
   }
 
-  // Extract account UUID from URL paths matching /accounts/{uuid}/...
+  // Track whether the extension is enabled
+  let extensionEnabled = false;
+
+  // Observers, timers and listeners; a session lasts while the site is enabled
+  const lifecycle = ext.getLifecycle('datadog');
+
+  // Whether the per-tenant summary bar is collapsed (remembered across page loads)
+  let summaryCollapsed = false;
+
+  // How each log line's tenant was found ('accountId' column or request 'path'), by row
+  const logRowSources = new WeakMap();
+
+  // accountId column of each Log Explorer list, computed once per pass (header changes trigger
+  // the next pass, which starts with an empty cache)
+  let accountIdColumns = new WeakMap();
+
+  // Filter template for the search bar autocomplete, and the open suggestion list
+  let filterTemplate = ext.DEFAULT_DATADOG_FILTER_TEMPLATE;
+  let autocomplete = null;
+
+  // Extract the tenant UUID from a URL or path with the Datadog URL rules
+  // (defaults: /accounts/{uuid}, /orgs/{uuid}, ?tenantId={uuid})
   function extractAccountIdFromPath(pathOrUrl) {
-    if (!pathOrUrl) return null;
-    const match = pathOrUrl.match(/\/accounts\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i);
-    return match ? match[1] : null;
+    return ext.extractTenantId('datadog', 'url', pathOrUrl);
   }
 
-  // Process all accountId rows in the JSON viewer (at any nesting level)
-  function processAccountIdRows() {
-    // Find ALL rows with the JSON viewer row class (works at any depth)
-    const allRows = document.querySelectorAll('.druids_misc_json-viewer_row-layout');
-    
-    allRows.forEach(row => {
-      // Get the key cell and value cell
-      const keyCell = row.querySelector('.druids_misc_json-viewer_row-layout__key');
-      const valueCell = row.querySelector('.druids_misc_json-viewer_row-layout__value');
-      
-      if (!keyCell || !valueCell) return;
-      
-      // Check if key is "accountId" (exact match)
-      const keyText = keyCell.textContent?.trim();
-      if (keyText !== 'accountId') return;
-      
-      // Get the value text, excluding any existing tenant label
-      const existingLabel = valueCell.querySelector('.tenant-name-label');
-      let valueText = valueCell.textContent?.trim();
-      if (existingLabel) {
-        valueText = valueText.replace(existingLabel.textContent, '').trim();
-      }
-      
-      // Check if the value has changed since we last processed it
-      const previousValue = valueCell.getAttribute('data-tenant-processed-value');
-      if (previousValue === valueText) {
-        // Same value, already processed correctly
-        return;
-      }
-      
-      // Value changed or new - remove any existing label first
-      if (existingLabel) {
-        existingLabel.remove();
-      }
-      
-      // Validate it's a UUID
-      if (!ext.isValidUUID(valueText)) {
-        valueCell.setAttribute('data-tenant-processed-value', valueText);
-        return;
-      }
-      
-      // Get tenant name
-      const tenantName = ext.getTenantName(valueText);
-      
-      // Only add tenant name if we have a mapping (not "Unknown")
-      if (tenantName === 'Unknown') {
-        valueCell.setAttribute('data-tenant-processed-value', valueText);
-        return;
-      }
-      
-      // Append tenant name to the value cell
-      const label = document.createElement('span');
-      label.className = 'tenant-name-label';
-      label.textContent = tenantName;
-      valueCell.appendChild(label);
-      
-      valueCell.setAttribute('data-tenant-processed-value', valueText);
-      console.log('[Datadog Extension] Added tenant name for accountId:', valueText);
-    });
+  // Log rows and the JSON viewer are found by selector on every pass; URL buttons, key-value
+  // rows and metric groups can be anywhere on big trace views and dashboards, so only the text
+  // that changed is scanned
+  const annotator = ext.createAnnotator({
+    name: 'Datadog',
+    skipSelector: [
+      '.tenant-name-label',
+      '.tenant-name-label-url',
+      '.tenant-log-cell',
+      '.tenant-log-header',
+      '.tenant-log-summary',
+      '.tenant-ext-card',
+      '.tenant-ext-autocomplete',
+      'script',
+      'style'
+    ].join(', '),
+    debounceMs: DEBOUNCE_DELAY,
+    onUpdate: () => {
+      accountIdColumns = new WeakMap();
+      if (extensionEnabled) updateLogList();
+    }
+  });
+
+  // Text of a JSON viewer value or button, without our own label
+  function getTextWithoutLabel(element) {
+    const label = element.querySelector('.tenant-name-label, .tenant-name-label-url');
+    const text = element.textContent.trim();
+    return label ? text.replace(label.textContent, '').trim() : text;
   }
 
-  // Process URL elements in HTTP Requests and Span Attributes sections
-  function processUrlElements() {
-    // Target 1: Buttons in HTTP Requests section containing URLs
-    const buttons = document.querySelectorAll('button');
-    
-    buttons.forEach(button => {
-      // Skip if already processed
-      if (button.hasAttribute('data-tenant-url-processed')) return;
-      
-      const buttonText = button.textContent || '';
-      
-      // Look for buttons that contain URL-related labels and account paths
+  // Value cell of a JSON viewer row (at any nesting level) whose key passes the check
+  function findJsonViewerValue(row, isKey) {
+    const keyCell = row.querySelector('.druids_misc_json-viewer_row-layout__key');
+    const valueCell = row.querySelector('.druids_misc_json-viewer_row-layout__value');
+    if (!keyCell || !valueCell) return null;
+    return isKey(keyCell.textContent.trim()) ? valueCell : null;
+  }
+
+  // JSON viewer: accountId values (Datadog attribute rules)
+  annotator.register({
+    name: 'account-id',
+    selector: '.druids_misc_json-viewer_row-layout',
+    match: row => findJsonViewerValue(row, key => key === 'accountId'),
+    read: getTextWithoutLabel,
+    extract: value => ext.extractTenantId('datadog', 'attribute', value)
+  });
+
+  // JSON viewer: path and url values (specific keys, not parent containers)
+  annotator.register({
+    name: 'json-path',
+    selector: '.druids_misc_json-viewer_row-layout',
+    match: row => findJsonViewerValue(row, key => ['path', 'url'].includes(key.toLowerCase())),
+    read: getTextWithoutLabel,
+    extract: extractAccountIdFromPath,
+    label: { className: 'tenant-name-label-url' }
+  });
+
+  // Log Explorer list: a tenant cell after the first column of every log line (rows without a
+  // tenant get an empty cell so the columns stay aligned)
+  annotator.register({
+    name: 'log-row',
+    selector: `${LOG_LIST_SELECTOR} ${LOG_ROW_SELECTOR}`,
+    match: row => !row.querySelector(LOG_HEADER_CELL_SELECTOR) && row.querySelector(LOG_CELL_SELECTOR) !== null,
+    // Rows are reused for other log lines while scrolling; our own cell doesn't have a role
+    read: row => {
+      const list = row.closest(LOG_LIST_SELECTOR);
+      const cells = Array.from(row.querySelectorAll(LOG_CELL_SELECTOR));
+      return [getAccountIdColumnIndex(list), ...cells.map(cell => cell.textContent)].join('\u0000');
+    },
+    extract: (value, row) => {
+      const cells = Array.from(row.querySelectorAll(LOG_CELL_SELECTOR));
+      const found = extractLogRowTenant(cells, getAccountIdColumnIndex(row.closest(LOG_LIST_SELECTOR)));
+      if (!found) return null;
+      logRowSources.set(row, found.source);
+      return found.tenantId;
+    },
+    always: true,
+    render: renderLogRowCell
+  });
+
+  // Dashboards and monitors: metric groups in graph legends, tooltips, top lists and the monitor
+  // status group table (bare UUIDs and account_id:<uuid> groups, Datadog attribute rules).
+  // Appended inside the legend entry or cell, so clicks and hovers still reach Datadog's handlers.
+  annotator.register({
+    name: 'graph-value',
+    matchText: text => GRAPH_PAGE_PATTERN.test(location.pathname) && text.trim().length >= 36,
+    match: element => GRAPH_PAGE_PATTERN.test(location.pathname) &&
+      annotator.isLeaf(element) &&
+      !element.closest(`${GRAPH_SKIP_SELECTOR}, ${LOG_LIST_SELECTOR}`) &&
+      Boolean(ext.extractTenantId('datadog', 'attribute', ext.getDirectTextContent(element))),
+    extract: value => ext.extractTenantId('datadog', 'attribute', value),
+    label: { className: 'tenant-name-label tenant-name-label-graph' }
+  });
+
+  // HTTP Requests section: buttons labelled with a URL or HTTP path
+  annotator.register({
+    name: 'url-button',
+    matchText: text => text.length >= 36,
+    match: element => element.closest('button'),
+    read: getTextWithoutLabel,
+    extract: value => {
       // Check for various patterns: "URL:", "URL", "HTTP Path:", "HTTP Path", etc.
-      const isUrlButton = buttonText.includes('URL') || 
-                          buttonText.includes('HTTP Path') ||
-                          buttonText.includes('http.url') ||
-                          buttonText.includes('http.path');
-      
-      // Also check if the button contains an account UUID path
-      const hasAccountPath = buttonText.includes('/accounts/');
-      
-      if (isUrlButton && hasAccountPath) {
-        const accountId = extractAccountIdFromPath(buttonText);
-        
-        if (accountId) {
-          const tenantName = ext.getTenantName(accountId);
-          
-          // Only add tenant name if we have a mapping (not "Unknown")
-          if (tenantName !== 'Unknown') {
-            // Check if we already have a label inside this button
-            if (!button.querySelector('.tenant-name-label-url')) {
-              const label = document.createElement('span');
-              label.className = 'tenant-name-label-url';
-              label.textContent = tenantName;
-              // Append directly to button
-              button.appendChild(label);
-              console.log('[Datadog Extension] Added tenant name for URL button:', accountId, 'buttonText:', buttonText.substring(0, 50));
-            }
-          }
-        }
-        
-        button.setAttribute('data-tenant-url-processed', 'true');
+      const isUrlButton = value.includes('URL') ||
+                          value.includes('HTTP Path') ||
+                          value.includes('http.url') ||
+                          value.includes('http.path');
+      return isUrlButton ? extractAccountIdFromPath(value) : null;
+    },
+    label: { className: 'tenant-name-label-url' }
+  });
+
+  // HTTP Requests and Span Attributes sections: key-value rows whose value is a URL or path
+  // (text starting with / or http). Leaf or near-leaf spans and divs only; the JSON viewer and
+  // Log Explorer rows have their own targets.
+  annotator.register({
+    name: 'url-value',
+    matchText: text => text.length >= 36,
+    match: element => element.matches('span, div') &&
+      element.children.length <= 2 &&
+      /^(\/|https?:\/\/)/.test(ext.getDirectTextContent(element)) &&
+      !element.closest(`.druids_misc_json-viewer_row-layout, ${LOG_LIST_SELECTOR}`),
+    extract: extractAccountIdFromPath,
+    label: { className: 'tenant-name-label-url' }
+  });
+
+  // Find the accountId column of the Log Explorer list (1-based among the list's own cells), if shown
+  function findAccountIdColumnIndex(list) {
+    const headers = Array.from(list.querySelectorAll(LOG_HEADER_CELL_SELECTOR))
+      .filter(header => !header.classList.contains('tenant-log-header'));
+    for (let i = 0; i < headers.length; i++) {
+      const headerText = headers[i].textContent.trim().replace(/^@/, '');
+      if (headerText === 'accountId') {
+        return i + 1;
       }
-    });
+    }
+    return null;
+  }
+
+  // Cached findAccountIdColumnIndex(), so rows don't scan the header again within a pass
+  function getAccountIdColumnIndex(list) {
+    if (!accountIdColumns.has(list)) {
+      accountIdColumns.set(list, findAccountIdColumnIndex(list));
+    }
+    return accountIdColumns.get(list);
+  }
 
-    // Target 2: Simple key-value rows in HTTP Requests section (non-button format)
-    // These appear as div elements with key/value structure
-    processHttpRequestsKeyValueRows();
+  // Add the "Tenant" header after the first column (status/date) of the list header
+  function addLogListHeader(list) {
+    if (list.querySelector('.tenant-log-header')) return;
 
-    // Target 3: JSON viewer rows with path-containing values
-    processJsonViewerPathRows();
+    const firstHeader = list.querySelector(LOG_HEADER_CELL_SELECTOR);
+    if (!firstHeader) return;
+
+    const tenantHeader = document.createElement('div');
+    tenantHeader.className = 'tenant-log-header';
+    tenantHeader.textContent = 'Tenant';
+    firstHeader.insertAdjacentElement('afterend', tenantHeader);
   }
 
-  // Process simple key-value rows in HTTP Requests section
-  function processHttpRequestsKeyValueRows() {
-    // Look for elements that show HTTP Path, URL, etc. in a key-value format
-    // Target spans and divs that directly contain path values
-    
-    // Strategy: Find elements whose text starts with / or http and contains /accounts/{uuid}
-    // These are typically the value part of key-value displays
-    const candidates = document.querySelectorAll('span, div');
-    
-    candidates.forEach(el => {
-      // Skip if already processed
-      if (el.hasAttribute('data-tenant-url-kv-processed')) return;
-      
-      // Get direct text content (not nested)
-      const directText = getDirectTextContent(el);
-      
-      // Check if this looks like a URL or path value (starts with / or http)
-      if (!directText.match(/^(\/|https?:\/\/)/)) return;
-      
-      // Check if it contains an account UUID
-      const accountId = extractAccountIdFromPath(directText);
-      if (!accountId) return;
-      
-      // Make sure this isn't a container element (should be a leaf or near-leaf)
-      // Check that the element doesn't have too many children
-      if (el.children.length > 2) return;
-      
-      // Skip if inside a button (handled separately)
-      if (el.closest('button')) return;
-      
-      // Skip if inside JSON viewer (handled by processJsonViewerPathRows)
-      if (el.closest('.druids_misc_json-viewer_row-layout')) return;
-      
-      const tenantName = ext.getTenantName(accountId);
-      
-      if (tenantName !== 'Unknown') {
-        // Check if we already have a label
-        if (!el.querySelector('.tenant-name-label-url')) {
-          const label = document.createElement('span');
-          label.className = 'tenant-name-label-url';
-          label.textContent = tenantName;
-          el.appendChild(label);
-          console.log('[Datadog Extension] Added tenant name for KV path:', accountId);
-        }
-      }
-      
-      el.setAttribute('data-tenant-url-kv-processed', 'true');
+  // Find a log line's tenant: the accountId column when shown, otherwise an /accounts/ path
+  // anywhere in the line. Returns {tenantId, source} or null.
+  function extractLogRowTenant(cells, accountIdIndex) {
+    if (accountIdIndex && cells[accountIdIndex - 1]) {
+      const accountId = ext.extractTenantId('datadog', 'attribute', cells[accountIdIndex - 1].textContent.trim());
+      if (accountId) return { tenantId: accountId, source: 'accountId' };
+    }
+
+    for (const cell of cells) {
+      const pathId = extractAccountIdFromPath(cell.textContent);
+      if (pathId) return { tenantId: pathId, source: 'path' };
+    }
+    return null;
+  }
+
+  // Tenant cell of a log line, after its first cell
+  function renderLogRowCell(row, tenantIds) {
+    const tenantCell = document.createElement('div');
+    tenantCell.className = 'tenant-log-cell';
+    row.querySelector(LOG_CELL_SELECTOR).insertAdjacentElement('afterend', tenantCell);
+    if (tenantIds.length === 0) return tenantCell;
+
+    tenantCell.setAttribute('data-tenant-source', logRowSources.get(row));
+    if (ext.getTenantName(tenantIds[0]) !== 'Unknown') {
+      tenantCell.appendChild(ext.createTenantLabel(tenantIds[0]));
+    }
+    return tenantCell;
+  }
+
+  // Add the column header to the Log Explorer list and refresh the summary bar
+  function updateLogList() {
+    const list = document.querySelector(LOG_LIST_SELECTOR);
+    if (!list) {
+      document.querySelectorAll('.tenant-log-summary').forEach(summary => summary.remove());
+      return;
+    }
+
+    addLogListHeader(list);
+
+    // Count the visible log lines per tenant
+    const counts = new Map();
+    annotator.getAnnotations('log-row').forEach(({ element, tenantIds }) => {
+      if (tenantIds.length === 0 || !list.contains(element)) return;
+      const entry = counts.get(tenantIds[0]) || { tenantId: tenantIds[0], count: 0, sources: new Set() };
+      entry.count++;
+      entry.sources.add(logRowSources.get(element));
+      counts.set(tenantIds[0], entry);
     });
+
+    renderLogSummary(list, Array.from(counts.values()).sort((a, b) => b.count - a.count));
   }
-  
-  // Helper to get direct text content (excluding nested element text)
-  function getDirectTextContent(element) {
-    let text = '';
-    for (const node of element.childNodes) {
-      if (node.nodeType === Node.TEXT_NODE) {
-        text += node.textContent;
-      }
+
+  // Query filter narrowing the search to a tenant: the accountId attribute when the lines
+  // carry it, otherwise the request path
+  function getTenantQueryFilter(entry) {
+    const [accountIdFilter, pathFilter] = ext.DATADOG_FILTER_PRESETS;
+    return ext.buildDatadogFilter(entry.tenantId, entry.sources.has('accountId') ? accountIdFilter : pathFilter);
+  }
+
+  // Append a tenant's filter to the Log Explorer query (kept in the URL) and reload the search
+  function applyTenantFilter(filter) {
+    const url = new URL(location.href);
+    const query = (url.searchParams.get('query') || '').trim();
+    if (query.split(/\s+/).includes(filter)) {
+      ext.showTenantNotice('The search is already filtered on this tenant');
+      return;
     }
-    return text.trim();
+    url.searchParams.set('query', query ? `${query} ${filter}` : filter);
+    location.assign(url.toString());
   }
 
-  // Process JSON viewer rows that contain path values with account UUIDs
-  function processJsonViewerPathRows() {
-    // Find JSON viewer rows
-    const allRows = document.querySelectorAll('.druids_misc_json-viewer_row-layout');
-    
-    allRows.forEach(row => {
-      // Skip if already processed for URL
-      if (row.hasAttribute('data-tenant-url-path-processed')) return;
-      
-      // Get the key cell and value cell
-      const keyCell = row.querySelector('.druids_misc_json-viewer_row-layout__key');
-      const valueCell = row.querySelector('.druids_misc_json-viewer_row-layout__value');
-      
-      if (!keyCell || !valueCell) return;
-      
-      const keyText = keyCell.textContent?.trim().toLowerCase();
-      const valueText = valueCell.textContent?.trim();
-      
-      // Only process rows where key is 'path' or 'url' (specific keys, not parent containers)
-      if (keyText === 'path' || keyText === 'url') {
-        // Check if value contains an account UUID in path format
-        const accountId = extractAccountIdFromPath(valueText);
-        
-        if (accountId) {
-          const tenantName = ext.getTenantName(accountId);
-          
-          if (tenantName !== 'Unknown') {
-            // Check if we already have a label in this value cell
-            if (!valueCell.querySelector('.tenant-name-label-url')) {
-              const label = document.createElement('span');
-              label.className = 'tenant-name-label-url';
-              label.textContent = tenantName;
-              valueCell.appendChild(label);
-              console.log('[Datadog Extension] Added tenant name for JSON path row:', accountId);
-            }
-          }
-        }
+  // Render the collapsible "visible lines per tenant" bar above the list
+  function renderLogSummary(list, entries) {
+    let summary = document.querySelector('.tenant-log-summary');
+
+    // Skip re-rendering when nothing changed (the observer would otherwise see our own updates)
+    const signature = JSON.stringify([summaryCollapsed, entries.map(entry =>
+      [entry.tenantId, entry.count, ext.getTenantName(entry.tenantId), Array.from(entry.sources)]
+    )]);
+    if (summary && summary.getAttribute('data-tenant-summary') === signature &&
+        summary.nextElementSibling === list) {
+      return;
+    }
+
+    if (!summary) {
+      summary = document.createElement('div');
+      summary.className = 'tenant-log-summary';
+      summary.addEventListener('click', handleSummaryClick);
+    }
+    if (summary.nextElementSibling !== list) {
+      list.insertAdjacentElement('beforebegin', summary);
+    }
+    summary.setAttribute('data-tenant-summary', signature);
+    summary.classList.toggle('tenant-log-summary-collapsed', summaryCollapsed);
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'tenant-log-summary-toggle';
+    toggle.textContent = `${summaryCollapsed ? '\u25B8' : '\u25BE'} Tenants (${entries.length})`;
+
+    const chips = document.createElement('div');
+    chips.className = 'tenant-log-summary-chips';
+    entries.forEach(entry => {
+      const tenantName = ext.getTenantName(entry.tenantId);
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'tenant-log-summary-chip';
+      chip.title = `Filter on ${getTenantQueryFilter(entry)}`;
+      chip.setAttribute('data-tenant-filter', getTenantQueryFilter(entry));
+
+      const name = document.createElement('span');
+      name.className = 'tenant-log-summary-name';
+      if (tenantName === 'Unknown') {
+        name.textContent = `${entry.tenantId.slice(0, 8)}…`;
+      } else {
+        name.textContent = tenantName;
+        ext.applyTenantBadge(name, entry.tenantId);
       }
-      
-      row.setAttribute('data-tenant-url-path-processed', 'true');
+
+      const count = document.createElement('span');
+      count.className = 'tenant-log-summary-count';
+      count.textContent = entry.count;
+
+      chip.append(name, count);
+      chips.appendChild(chip);
     });
+    if (entries.length === 0) {
+      chips.textContent = 'No tenant IDs in the visible log lines';
+    }
+
+    summary.replaceChildren(toggle, chips);
   }
 
-  // Clear processed markers to allow reprocessing
-  function clearProcessedMarkers() {
-    // Clear accountId JSON viewer markers
-    document.querySelectorAll('[data-tenant-processed-value]').forEach(item => {
-      item.removeAttribute('data-tenant-processed-value');
-      const labels = item.querySelectorAll('.tenant-name-label');
-      labels.forEach(label => label.remove());
-    });
-    
-    // Clear URL button markers
-    document.querySelectorAll('[data-tenant-url-processed]').forEach(item => {
-      item.removeAttribute('data-tenant-url-processed');
-      const labels = item.querySelectorAll('.tenant-name-label-url');
-      labels.forEach(label => label.remove());
-    });
-    
-    // Clear JSON viewer path row markers
-    document.querySelectorAll('[data-tenant-url-path-processed]').forEach(item => {
-      item.removeAttribute('data-tenant-url-path-processed');
-      const labels = item.querySelectorAll('.tenant-name-label-url');
-      labels.forEach(label => label.remove());
-    });
-    
-    // Clear key-value row markers
-    document.querySelectorAll('[data-tenant-url-kv-processed]').forEach(item => {
-      item.removeAttribute('data-tenant-url-kv-processed');
-      const labels = item.querySelectorAll('.tenant-name-label-url');
-      labels.forEach(label => label.remove());
-    });
+  // Collapse/expand the summary, or narrow the search to the clicked tenant
+  function handleSummaryClick(e) {
+    if (e.target.closest('.tenant-log-summary-toggle')) {
+      summaryCollapsed = !summaryCollapsed;
+      chrome.storage.local.set({ [SUMMARY_COLLAPSED_KEY]: summaryCollapsed });
+      updateLogList();
+      return;
+    }
+
+    const chip = e.target.closest('.tenant-log-summary-chip');
+    if (chip) {
+      applyTenantFilter(chip.getAttribute('data-tenant-filter'));
+    }
   }
 
-  // Handle when mappings are updated
-  function handleMappingsUpdate() {
-    console.log('[Datadog Extension] Mappings updated, reprocessing');
-    clearProcessedMarkers();
-    processAccountIdRows();
-    processUrlElements();
+  // Check whether an element is a search bar field the autocomplete should handle
+  function isSearchField(element) {
+    if (!(element instanceof HTMLElement)) return false;
+    const editable = element.isContentEditable ||
+      element.tagName === 'TEXTAREA' ||
+      (element.tagName === 'INPUT' && /^(text|search)$/.test(element.type));
+    return editable && element.closest(SEARCH_BAR_SELECTOR) !== null;
   }
 
-  // Set up observer for new JSON viewer elements and URL elements appearing
-  function observeForJsonViewer() {
-    let debounceTimer = null;
-    
-    const observer = new MutationObserver((mutations) => {
-      let shouldProcess = false;
-      
-      for (const mutation of mutations) {
-        // Check for text content changes (characterData)
-        if (mutation.type === 'characterData') {
-          // Check if this is within a JSON viewer row
-          if (mutation.target.parentElement?.closest('.druids_misc_json-viewer_row-layout')) {
-            shouldProcess = true;
-            break;
-          }
-        }
-        
-        // Check for new nodes being added
-        if (mutation.addedNodes.length > 0) {
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              // Check if this is or contains JSON viewer rows
-              if (node.classList?.contains('druids_misc_json-viewer_row-layout') ||
-                  node.querySelector?.('.druids_misc_json-viewer_row-layout')) {
-                shouldProcess = true;
-                break;
-              }
-              // Check if this is or contains buttons (for HTTP Requests section)
-              if (node.tagName === 'BUTTON' || node.querySelector?.('button')) {
-                shouldProcess = true;
-                break;
-              }
-              // Check if this is or contains table cells (for Span Attributes section)
-              if (node.tagName === 'TD' || 
-                  node.getAttribute?.('role') === 'cell' ||
-                  node.querySelector?.('[role="cell"], td')) {
-                shouldProcess = true;
-                break;
-              }
-            }
-            // Also check for text node changes within JSON viewer
-            if (node.nodeType === Node.TEXT_NODE) {
-              if (node.parentElement?.closest('.druids_misc_json-viewer_row-layout')) {
-                shouldProcess = true;
-                break;
-              }
-            }
-          }
-          if (shouldProcess) break;
-        }
-        
-        // Check for removed nodes (panel content changing)
-        if (mutation.removedNodes.length > 0) {
-          for (const node of mutation.removedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              if (node.classList?.contains('druids_misc_json-viewer_row-layout') ||
-                  node.querySelector?.('.druids_misc_json-viewer_row-layout')) {
-                shouldProcess = true;
-                break;
-              }
-            }
-          }
-          if (shouldProcess) break;
-        }
-      }
+  // Find a "tenant:<query>" token ending at the caret. Returns {node, start, end, query} or null;
+  // node is the text node for contenteditable editors and null for inputs and textareas.
+  function getTokenAtCaret(field) {
+    let node = null;
+    let textBefore;
+    if (field.isContentEditable) {
+      const selection = window.getSelection();
+      if (!selection.isCollapsed || !selection.anchorNode || selection.anchorNode.nodeType !== Node.TEXT_NODE) return null;
+      node = selection.anchorNode;
+      textBefore = node.textContent.slice(0, selection.anchorOffset);
+    } else {
+      if (field.selectionStart !== field.selectionEnd) return null;
+      textBefore = field.value.slice(0, field.selectionStart);
+    }
+
+    const match = textBefore.match(AUTOCOMPLETE_TOKEN_PATTERN);
+    if (!match) return null;
+    return { node, start: textBefore.length - match[1].length, end: textBefore.length, query: match[2] };
+  }
+
+  // Mapped tenants whose name contains the query (or whose UUID starts with it), best matches first
+  function findTenantSuggestions(query) {
+    const needle = query.toLowerCase();
+    return Object.entries(ext.getCachedMappings())
+      .filter(([id, name]) => name.toLowerCase().includes(needle) || id.startsWith(needle))
+      .map(([id, name]) => ({ id, name, prefix: name.toLowerCase().startsWith(needle) }))
+      .sort((a, b) => (a.prefix !== b.prefix ? (a.prefix ? -1 : 1) : a.name.localeCompare(b.name)))
+      .slice(0, AUTOCOMPLETE_MAX_RESULTS);
+  }
+
+  // Show or update the suggestion list under the search field
+  function renderAutocomplete() {
+    if (!autocomplete.element) {
+      autocomplete.element = document.createElement('div');
+      autocomplete.element.className = 'tenant-ext-autocomplete';
+      // Keep the focus in the search field when picking with the mouse
+      autocomplete.element.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const item = e.target.closest('.tenant-ext-autocomplete-item');
+        if (item) acceptSuggestion(Number(item.getAttribute('data-index')));
+      });
+      document.body.appendChild(autocomplete.element);
+    }
+
+    autocomplete.element.replaceChildren(...autocomplete.suggestions.map((suggestion, index) => {
+      const item = document.createElement('div');
+      item.className = 'tenant-ext-autocomplete-item';
+      item.classList.toggle('tenant-ext-autocomplete-active', index === autocomplete.index);
+      item.setAttribute('data-index', index);
+
+      const name = document.createElement('span');
+      name.className = 'tenant-ext-autocomplete-name';
+      name.textContent = suggestion.name;
+      ext.applyTenantBadge(name, suggestion.id);
 
-      if (shouldProcess) {
-        // Debounce to avoid processing too frequently during rapid DOM updates
-        if (debounceTimer) {
-          clearTimeout(debounceTimer);
-        }
-        debounceTimer = setTimeout(() => {
-          console.log('[Datadog Extension] DOM changes detected, reprocessing');
-          processAccountIdRows();
-          processUrlElements();
-          debounceTimer = null;
-        }, DEBOUNCE_DELAY);
+      const filter = document.createElement('span');
+      filter.className = 'tenant-ext-autocomplete-filter';
+      filter.textContent = ext.buildDatadogFilter(suggestion.id, filterTemplate);
+
+      item.append(name, filter);
+      return item;
+    }));
+
+    const rect = autocomplete.field.getBoundingClientRect();
+    autocomplete.element.style.top = `${rect.bottom + 4}px`;
+    autocomplete.element.style.left = `${Math.max(8, rect.left)}px`;
+  }
+
+  function closeAutocomplete() {
+    if (autocomplete && autocomplete.element) {
+      autocomplete.element.remove();
+    }
+    autocomplete = null;
+  }
+
+  // Replace the "tenant:<query>" token with the chosen tenant's filter
+  function acceptSuggestion(index) {
+    if (!autocomplete || !autocomplete.suggestions[index]) return;
+    const { field, token } = autocomplete;
+    const filter = ext.buildDatadogFilter(autocomplete.suggestions[index].id, filterTemplate);
+    closeAutocomplete();
+
+    field.focus();
+    if (token.node) {
+      const range = document.createRange();
+      range.setStart(token.node, token.start);
+      range.setEnd(token.node, token.end);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    } else {
+      field.setSelectionRange(token.start, token.end);
+    }
+
+    // insertText goes through the editor's own input handling (and keeps undo working);
+    // fall back to setting the value the way React expects
+    if (!document.execCommand('insertText', false, filter) && !token.node) {
+      const prototype = field.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      const value = field.value.slice(0, token.start) + filter + field.value.slice(token.end);
+      Object.getOwnPropertyDescriptor(prototype, 'value').set.call(field, value);
+      field.setSelectionRange(token.start + filter.length, token.start + filter.length);
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    console.log('[Datadog Extension] Autocompleted tenant filter:', filter);
+  }
+
+  // Offer tenants while a "tenant:" token is typed in a search bar
+  function handleSearchInput(e) {
+    const field = e.target;
+    if (!extensionEnabled || !AUTOCOMPLETE_PAGE_PATTERN.test(location.pathname) || !isSearchField(field)) {
+      closeAutocomplete();
+      return;
+    }
+
+    const token = getTokenAtCaret(field);
+    const suggestions = token ? findTenantSuggestions(token.query) : [];
+    if (suggestions.length === 0) {
+      closeAutocomplete();
+      return;
+    }
+
+    const element = autocomplete ? autocomplete.element : null;
+    autocomplete = { field, token, suggestions, index: 0, element };
+    renderAutocomplete();
+  }
+
+  // Navigate the suggestions; runs before Datadog's own search bar key handling
+  function handleSearchKeydown(e) {
+    if (!autocomplete || e.target !== autocomplete.field) return;
+
+    const count = autocomplete.suggestions.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      autocomplete.index = (autocomplete.index + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+      renderAutocomplete();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      acceptSuggestion(autocomplete.index);
+    } else if (e.key === 'Escape') {
+      closeAutocomplete();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+  }
+
+  // Set up the search bar autocomplete and keep the filter template current
+  function setupQueryAutocomplete() {
+    ext.loadDatadogFilterTemplate().then(template => {
+      filterTemplate = template;
+    });
+
+    lifecycle.onStorageChanged(async (changes, area) => {
+      if (area === 'sync' && changes[ext.DATADOG_FILTER_TEMPLATE_KEY]) {
+        filterTemplate = await ext.loadDatadogFilterTemplate();
       }
     });
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      characterData: true // Also observe text content changes
+    lifecycle.listen(document, 'input', handleSearchInput, true);
+    lifecycle.listen(window, 'keydown', handleSearchKeydown, true);
+    lifecycle.listen(document, 'focusout', (e) => {
+      if (autocomplete && e.target === autocomplete.field) closeAutocomplete();
+    }, true);
+    lifecycle.listen(window, 'scroll', closeAutocomplete, { capture: true, passive: true });
+  }
+
+  // Process everything the extension annotates on the page
+  function processAll() {
+    if (!extensionEnabled) return;
+    annotator.process();
+  }
+
+  // Remove the Log Explorer column header and summary bar (the cells go with the annotations)
+  function removeLogListUi() {
+    document.querySelectorAll('.tenant-log-header, .tenant-log-summary').forEach(item => {
+      item.remove();
     });
+  }
 
-    console.log('[Datadog Extension] Set up observer for JSON viewer and URL elements');
+  // Handle when mappings are updated
+  function handleMappingsUpdate() {
+    if (!extensionEnabled) return;
+    console.log('[Datadog Extension] Mappings updated, reprocessing');
+    annotator.refresh();
   }
 
   // Initialize the extension
   async function initExtension() {
     console.log('[Datadog Extension] Initializing...');
 
+    // Ends the previous session, so re-enabling never duplicates observers or timers
+    const session = lifecycle.start();
     const result = await ext.initSite('datadog');
+    if (!session.active) return; // Disabled again while loading
     if (!result.ok) {
       if (result.disabled) {
         console.log('[Datadog Extension] Datadog is disabled in settings');
@@ -387,25 +599,46 @@
       return;
     }
 
-    // Try to process any existing accountId rows and URL elements
-    processAccountIdRows();
-    processUrlElements();
+    // Only the regions enabled in the options page are annotated
+    const regionEnabled = await isRegionEnabled();
+    if (!session.active) return;
+    if (!regionEnabled) {
+      console.log('[Datadog Extension] Region disabled in settings:', location.hostname);
+      return;
+    }
 
-    // Set up observer for new JSON viewer elements
-    observeForJsonViewer();
+    // Deep links opened from the other tools point at this region
+    ext.rememberDatadogHost(location.host);
 
-    // Set up storage change listener
-    ext.setupStorageListener(handleMappingsUpdate);
+    extensionEnabled = true;
+    // Remove the autocomplete and the Log Explorer UI when the session ends (the cells go with the annotator)
+    session.add(() => {
+      extensionEnabled = false;
+      closeAutocomplete();
+      removeLogListUi();
+    });
+    summaryCollapsed = await new Promise((resolve) => {
+      chrome.storage.local.get([SUMMARY_COLLAPSED_KEY], (stored) => {
+        resolve(stored[SUMMARY_COLLAPSED_KEY] === true);
+      });
+    });
+    if (!session.active) return;
+
+    // Try to process any existing log rows, accountId rows and URL elements
+    processAll();
+
+    // Follow new log lines, JSON viewer rows and URL elements
+    annotator.observe(session);
+    console.log('[Datadog Extension] Set up observer for JSON viewer and URL elements');
 
     // For SPAs: retry processing a few times during initial load
     // This catches elements that render after the initial scan
     let retryCount = 0;
-    const retryInterval = setInterval(() => {
+    const stopRetries = session.setInterval(() => {
       retryCount++;
-      processAccountIdRows();
-      processUrlElements();
+      processAll();
       if (retryCount >= RETRY_MAX) {
-        clearInterval(retryInterval);
+        stopRetries();
         console.log('[Datadog Extension] Initial retry scans complete');
       }
     }, RETRY_INTERVAL);
@@ -413,10 +646,16 @@
     console.log('[Datadog Extension] Initialization complete');
   }
 
+  // Check whether this page's Datadog region is enabled in the options page
+  async function isRegionEnabled() {
+    const regions = await ext.loadDatadogRegions();
+    return regions.includes(ext.getDatadogRegion(location.hostname));
+  }
+
   // Define callbacks for site settings changes
   function onDisabled() {
     console.log('[Datadog Extension] Disabled via settings, cleaning up');
-    clearProcessedMarkers();
+    lifecycle.stop();
   }
 
   function onEnabled() {
@@ -427,9 +666,35 @@
   // Set up site settings listener
   ext.setupSiteSettingsListener('datadog', { onDisabled, onEnabled });
 
+  // Regions enabled or disabled in the options page
+  lifecycle.onStorageChanged(async (changes, area) => {
+    if (area !== 'sync' || !changes[ext.DATADOG_REGIONS_KEY]) return;
+    const enabled = await isRegionEnabled();
+    if (enabled && !extensionEnabled) {
+      onEnabled();
+    } else if (!enabled && extensionEnabled) {
+      onDisabled();
+    }
+  });
+
+  // Set up storage change listener
+  ext.setupStorageListener(handleMappingsUpdate);
+
+  // Answer the toolbar popup
+  ext.setupDetectedTenantsListener('datadog');
+
+  // Handle the "Tenant mapping" context menu
+  ext.setupContextMenuListener();
+
+  // Tenant details and deep links on hover
+  ext.setupTenantHoverCard('datadog');
+
+  // "tenant:<name>" autocomplete in the log and trace search bars
+  setupQueryAutocomplete();
+
   // Start the extension
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initExtension);
+    lifecycle.listen(document, 'DOMContentLoaded', initExtension);
   } else {
     initExtension();
   }
@@ -0,0 +1,150 @@
+// Grafana Tenant Name Extension - Content Script
+// Adds tenant names next to tenant_id UUIDs in panel legends, tooltips, table panels
+// and template variable dropdowns (e.g. $tenant)
+
+(async function() {
+  'use strict';
+
+  // Constants
+  const SHARED_UTILS_MAX_ATTEMPTS = 50;
+  const SHARED_UTILS_INTERVAL = 100;
+  const RETRY_MAX = 5;
+  const RETRY_INTERVAL = 500;
+
+  // Regions of the page that can show tenant IDs. Grafana's class names are generated,
+  // so these rely on data attributes, ARIA roles and the stable legacy class names.
+  const REGION_SELECTORS = [
+    // Panels: legends and table panels
+    '[data-panelid]',
+    '[data-viz-panel-key]',
+    '.panel-container',
+    // Tooltips rendered in portals
+    '#grafana-portal-container',
+    '.grafana-portal-container',
+    '[role="tooltip"]',
+    // Template variable pickers and their option menus
+    '.submenu-controls',
+    '[data-testid*="template variables"]',
+    '[aria-label="Select options menu"]',
+    '[role="listbox"]'
+  ].join(', ');
+
+  // Wait for shared utilities to be available
+  let ext;
+  try {
+    ext = await window.TenantNameExtension.waitForReady(SHARED_UTILS_MAX_ATTEMPTS, SHARED_UTILS_INTERVAL);
+  } catch (error) {
+    console.error('[Grafana Extension] Shared utilities not loaded after retries:', error);
+    return;
+  }
+
+  // Track whether the extension is enabled
+  let extensionEnabled = false;
+
+  // Observers, timers and listeners; a session lasts while the site is enabled
+  const lifecycle = ext.getLifecycle('grafana');
+
+  // Legends and tooltips update their text in place; the engine re-renders changed values
+  const annotator = ext.createAnnotator({
+    name: 'Grafana',
+    skipSelector: '.tenant-name-label, script, style'
+  });
+
+  // Leaf elements of panels, tooltips and variable pickers mentioning a tenant
+  annotator.register({
+    name: 'value',
+    // Cheap check before running the rules
+    matchText: text => text.trim().length >= 36,
+    match: element => annotator.isLeaf(element) && element.closest(REGION_SELECTORS) !== null,
+    extract: value => ext.extractTenantId('grafana', 'attribute', value)
+  });
+
+  // Scan all regions for leaf elements mentioning a tenant
+  function processAllRegions() {
+    if (!extensionEnabled) return;
+    annotator.process();
+  }
+
+  // Handle when mappings are updated
+  function handleMappingsUpdate() {
+    if (!extensionEnabled) return;
+    console.log('[Grafana Extension] Mappings updated, reprocessing');
+    annotator.refresh();
+  }
+
+  // Initialize the extension
+  async function initExtension() {
+    console.log('[Grafana Extension] Initializing...');
+
+    // Ends the previous session, so re-enabling never duplicates observers or timers
+    const session = lifecycle.start();
+    const result = await ext.initSite('grafana');
+    if (!session.active) return; // Disabled again while loading
+    if (!result.ok) {
+      if (result.disabled) {
+        console.log('[Grafana Extension] Grafana is disabled in settings');
+      } else {
+        console.error('[Grafana Extension] Failed to initialize:', result.error || 'Unknown error');
+      }
+      return;
+    }
+
+    extensionEnabled = true;
+    session.add(() => {
+      extensionEnabled = false;
+    });
+
+    // Try to process any existing panels
+    processAllRegions();
+
+    // Follow new panels, tooltips and menus
+    annotator.observe(session);
+    console.log('[Grafana Extension] Set up observer for panels, tooltips and variables');
+
+    // For SPAs: retry processing a few times during initial load
+    // This catches panels that render after the initial scan
+    let retryCount = 0;
+    const stopRetries = session.setInterval(() => {
+      retryCount++;
+      processAllRegions();
+      if (retryCount >= RETRY_MAX) {
+        stopRetries();
+        console.log('[Grafana Extension] Initial retry scans complete');
+      }
+    }, RETRY_INTERVAL);
+
+    console.log('[Grafana Extension] Initialization complete');
+  }
+
+  // Set up storage change listener
+  ext.setupStorageListener(handleMappingsUpdate);
+
+  // Answer the toolbar popup
+  ext.setupDetectedTenantsListener('grafana');
+
+  // Handle the "Tenant mapping" context menu
+  ext.setupContextMenuListener();
+
+  // Tenant details and deep links on hover
+  ext.setupTenantHoverCard('grafana');
+
+  // Listen for site settings changes
+  ext.setupSiteSettingsListener('grafana', {
+    onDisabled: () => {
+      console.log('[Grafana Extension] Disabled via settings, cleaning up');
+      lifecycle.stop();
+    },
+    onEnabled: () => {
+      console.log('[Grafana Extension] Enabled via settings, reinitializing');
+      initExtension();
+    }
+  });
+
+  // Start the extension
+  if (document.readyState === 'loading') {
+    lifecycle.listen(document, 'DOMContentLoaded', initExtension);
+  } else {
+    initExtension();
+  }
+
+})();
@@ -0,0 +1,257 @@
+// Sentry Tenant Name Extension - Content Script
+// Adds tenant names to the tenant_id tag, breadcrumbs and request panel of issue/event pages,
+// and to the issue list rows of issues whose events carry the tenant_id tag
+
+(async function() {
+  'use strict';
+
+  // Constants
+  const SHARED_UTILS_MAX_ATTEMPTS = 50;
+  const SHARED_UTILS_INTERVAL = 100;
+  const RETRY_MAX = 5;
+  const RETRY_INTERVAL = 500;
+  const DEBOUNCE_DELAY = 150;
+  const TENANT_TAG_KEY = 'tenant_id';
+  // Issue list rows look their tenants up with one API call per issue: a few at a time, and
+  // failed issues aren't asked again for a minute
+  const ISSUE_FETCH_CONCURRENCY = 4;
+  const ISSUE_FETCH_RETRY_MS = 60000;
+
+  // Event sections that can show tenant IDs. Sentry's class names are generated, so these
+  // rely on section ids and test ids (current layout first, then the legacy one).
+  const TAGS_SELECTORS = [
+    '[data-test-id="event-tags"]',
+    '[data-test-id="tags"]',
+    '#tags'
+  ].join(', ');
+  const EVENT_SECTION_SELECTORS = [
+    TAGS_SELECTORS,
+    '[data-test-id="breadcrumbs"]',
+    '#breadcrumbs',
+    '[data-test-id="request"]',
+    '#request'
+  ].join(', ');
+  // A tag is rendered as a tree row (current layout), a pill or a table row (legacy)
+  const TAG_ROW_SELECTOR = '[data-test-id="tag-tree-row"], li, tr';
+  const ISSUE_ROW_SELECTOR = '[data-test-id="group"]';
+  const ISSUE_LINK_PATTERN = /\/issues\/(\d+)\//;
+
+  // Wait for shared utilities to be available
+  let ext;
+  try {
+    ext = await window.TenantNameExtension.waitForReady(SHARED_UTILS_MAX_ATTEMPTS, SHARED_UTILS_INTERVAL);
+  } catch (error) {
+    console.error('[Sentry Extension] Shared utilities not loaded after retries:', error);
+    return;
+  }
+
+  // Track whether the extension is enabled
+  let extensionEnabled = false;
+
+  // Observers, timers and listeners; a session lasts while the site is enabled
+  const lifecycle = ext.getLifecycle('sentry');
+
+  // Tenant IDs of the tenant_id tag per issue ID (promises, so rows re-rendered while a
+  // request is in flight don't fetch again)
+  const issueTenantCache = new Map();
+
+  // Issue tag requests waiting for a free slot: {task, resolve, reject}
+  const pendingFetches = [];
+  let activeFetches = 0;
+
+  // Sections re-render in place when switching events; the engine re-renders changed values
+  const annotator = ext.createAnnotator({
+    name: 'Sentry',
+    skipSelector: '.tenant-name-label, script, style',
+    debounceMs: DEBOUNCE_DELAY
+  });
+
+  // Whether a tag row is the tenant_id tag (its key is a leaf of its own)
+  function isTenantTagRow(row) {
+    if (!row.closest(TAGS_SELECTORS)) return false;
+    return Array.from(row.querySelectorAll('*')).some(element =>
+      element.childElementCount === 0 && ext.getDirectTextContent(element) === TENANT_TAG_KEY
+    );
+  }
+
+  // Leaf elements of the tags, breadcrumbs and request sections of an issue/event page.
+  // The tenant_id tag value uses the attribute rules; everything else (request.url,
+  // the url tag, HTTP breadcrumbs) uses the URL rules.
+  annotator.register({
+    name: 'event-value',
+    // Cheap check before running the rules
+    matchText: text => text.trim().length >= 36,
+    match: element => annotator.isLeaf(element) && element.closest(EVENT_SECTION_SELECTORS) !== null,
+    extract: (value, element) => {
+      const row = element.closest(TAG_ROW_SELECTOR);
+      return ext.extractTenantId('sentry', row && isTenantTagRow(row) ? 'attribute' : 'url', value);
+    }
+  });
+
+  // Start queued requests while fewer than ISSUE_FETCH_CONCURRENCY are in flight
+  function drainFetchQueue() {
+    while (activeFetches < ISSUE_FETCH_CONCURRENCY && pendingFetches.length > 0) {
+      const { task, resolve, reject } = pendingFetches.shift();
+      activeFetches++;
+      task().then(resolve, reject).finally(() => {
+        activeFetches--;
+        drainFetchQueue();
+      });
+    }
+  }
+
+  // Run a request once a slot is free
+  function enqueueFetch(task) {
+    return new Promise((resolve, reject) => {
+      pendingFetches.push({ task, resolve, reject });
+      drainFetchQueue();
+    });
+  }
+
+  // Tenant IDs among the top tenant_id tag values of an issue, most frequent first
+  function fetchIssueTenants(issueId) {
+    if (!issueTenantCache.has(issueId)) {
+      const request = enqueueFetch(() => fetch(`/api/0/issues/${issueId}/tags/${TENANT_TAG_KEY}/`, {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' }
+      }))
+        .then(response => {
+          // 404: none of the issue's events carry the tag
+          if (response.status === 404) return { topValues: [] };
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(data => {
+          const tenantIds = (data.topValues || [])
+            .map(entry => ext.extractTenantId('sentry', 'attribute', String(entry.value || '')))
+            .filter(Boolean);
+          return Array.from(new Set(tenantIds));
+        })
+        .catch(error => {
+          console.warn('[Sentry Extension] Could not load tenant_id tag for issue', issueId, error);
+          // Keep the failure cached for a while, so scans don't hammer the API. The rejection
+          // makes the annotator forget the row, so the first pass after that fetches it again.
+          lifecycle.setTimeout(() => issueTenantCache.delete(issueId), ISSUE_FETCH_RETRY_MS);
+          throw error;
+        });
+      issueTenantCache.set(issueId, request);
+    }
+    return issueTenantCache.get(issueId);
+  }
+
+  // Issue ID of an issue list row, from its title link
+  function getRowIssueId(row) {
+    const link = row.querySelector('a[href*="/issues/"]');
+    const match = link && link.getAttribute('href').match(ISSUE_LINK_PATTERN);
+    return match ? match[1] : '';
+  }
+
+  // Issue list rows: the tenant name after the title. Issues seen across several tenants show
+  // the most frequent one and a count of the others.
+  annotator.register({
+    name: 'issue-row',
+    selector: ISSUE_ROW_SELECTOR,
+    read: getRowIssueId,
+    extract: issueId => (issueId ? fetchIssueTenants(issueId) : null),
+    render: (row, tenantIds) => {
+      const link = row.querySelector('a[href*="/issues/"]');
+      const tenantName = ext.getTenantName(tenantIds[0]);
+      if (!link || tenantName === 'Unknown') return null;
+
+      const label = ext.createTenantLabel(tenantIds[0], {
+        text: tenantIds.length > 1 ? `${tenantName} +${tenantIds.length - 1}` : tenantName
+      });
+      link.insertAdjacentElement('afterend', label);
+      return label;
+    }
+  });
+
+  // Process everything on the page
+  function processPage() {
+    if (!extensionEnabled) return;
+    annotator.process();
+  }
+
+  // Handle when mappings are updated
+  function handleMappingsUpdate() {
+    if (!extensionEnabled) return;
+    console.log('[Sentry Extension] Mappings updated, reprocessing');
+    annotator.refresh();
+  }
+
+  // Initialize the extension
+  async function initExtension() {
+    console.log('[Sentry Extension] Initializing...');
+
+    // Ends the previous session, so re-enabling never duplicates observers or timers
+    const session = lifecycle.start();
+    const result = await ext.initSite('sentry');
+    if (!session.active) return; // Disabled again while loading
+    if (!result.ok) {
+      if (result.disabled) {
+        console.log('[Sentry Extension] Sentry is disabled in settings');
+      } else {
+        console.error('[Sentry Extension] Failed to initialize:', result.error || 'Unknown error');
+      }
+      return;
+    }
+
+    extensionEnabled = true;
+    session.add(() => {
+      extensionEnabled = false;
+    });
+
+    // Try to process the current page
+    processPage();
+
+    // Follow SPA navigation between issues and events
+    annotator.observe(session);
+    console.log('[Sentry Extension] Set up observer for event sections and issue rows');
+
+    // For SPAs: retry processing a few times during initial load
+    // This catches sections that render after the initial scan
+    let retryCount = 0;
+    const stopRetries = session.setInterval(() => {
+      retryCount++;
+      processPage();
+      if (retryCount >= RETRY_MAX) {
+        stopRetries();
+        console.log('[Sentry Extension] Initial retry scans complete');
+      }
+    }, RETRY_INTERVAL);
+
+    console.log('[Sentry Extension] Initialization complete');
+  }
+
+  // Set up storage change listener
+  ext.setupStorageListener(handleMappingsUpdate);
+
+  // Answer the toolbar popup
+  ext.setupDetectedTenantsListener('sentry');
+
+  // Handle the "Tenant mapping" context menu
+  ext.setupContextMenuListener();
+
+  // Tenant details and deep links on hover
+  ext.setupTenantHoverCard('sentry');
+
+  // Listen for site settings changes
+  ext.setupSiteSettingsListener('sentry', {
+    onDisabled: () => {
+      console.log('[Sentry Extension] Disabled via settings, cleaning up');
+      lifecycle.stop();
+    },
+    onEnabled: () => {
+      console.log('[Sentry Extension] Enabled via settings, reinitializing');
+      initExtension();
+    }
+  });
+
+  // Start the extension
+  if (document.readyState === 'loading') {
+    lifecycle.listen(document, 'DOMContentLoaded', initExtension);
+  } else {
+    initExtension();
+  }
+
+})();
@@ -1,5 +1,8 @@
 // Temporal Cloud Tenant Name Extension - Content Script
-// Adds a "Tenant Name" column to the Temporal Cloud workflows table
+// Adds a "Tenant Name" column to the Temporal Cloud workflows and schedules tables, and a tenant
+// picker next to the workflows search bar that applies the tenant's WorkflowId visibility query.
+// On a workflow's or schedule's own pages and on batch operations, annotates the header,
+// workflow links, values (including batch target queries) and payloads.
 
 (async function() {
   'use strict';
@@ -9,7 +12,32 @@
   const SHARED_UTILS_INTERVAL = 100;
   const SPA_NAVIGATION_DELAY = 500;
   const REPROCESS_DEBOUNCE_MS = 150;
-  const TABLE_CHECK_INTERVAL_MS = 300;
+  const PICKER_MAX_RESULTS = 50;
+
+  // Workflows list page (not a single workflow's pages)
+  const WORKFLOWS_LIST_PATH = /^\/namespaces\/[^/]+\/workflows\/?$/;
+  // A single workflow's pages: /namespaces/<ns>/workflows/<workflowId>/<runId>/...
+  const WORKFLOW_DETAIL_PATH = /^\/namespaces\/[^/]+\/workflows\/([^/]+)\/[^/]+/;
+  const WORKFLOW_LINK_PATH = /\/namespaces\/[^/]+\/workflows\/([^/?#]+)/;
+  // A single schedule's page: /namespaces/<ns>/schedules/<scheduleId> (not the create form)
+  const SCHEDULE_DETAIL_PATH = /^\/namespaces\/[^/]+\/schedules\/(?!create(?:\/|$))([^/]+)/;
+  const BATCH_OPERATIONS_PATH = /^\/namespaces\/[^/]+\/batch-operations(\/|$)/;
+  // Headers of the ID column the tenant column goes after (workflows and schedules tables)
+  const ID_COLUMN_HEADERS = ['Workflow ID', 'Schedule ID'];
+  // Workflows targeted by a batch operation's visibility query
+  const QUERY_WORKFLOW_ID_PATTERN = /WorkflowId\s*(?:=|STARTS_WITH)\s*["']([^"']+)["']/gi;
+  const DETAIL_HEADING_SELECTOR = '[data-testid="workflow-id-heading"], main h1, h1';
+  // JSON payloads are rendered in code editors, which must not be modified
+  const CODE_BLOCK_SELECTOR = '.cm-editor, pre';
+  const UUID_SEARCH_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+  // Where the search bar lives; the picker goes right before it (or before the table)
+  const SEARCH_BAR_SELECTORS = [
+    '[data-testid="workflow-filters"]',
+    '[data-testid="search-form"]',
+    'form:has(input[type="search"])',
+    'form:has(#search-attribute-filter)'
+  ];
 
   // Wait for shared utilities to be available
   let ext;
@@ -21,22 +49,34 @@
   }
 
   // Track whether the extension is enabled
-  let extensionEnabled = true;
+  let extensionEnabled = false;
 
-  // Debounce timer for reprocessing
-  let reprocessTimer = null;
+  // Observers, timers and listeners; a session lasts while the site is enabled
+  const lifecycle = ext.getLifecycle('temporal');
 
-  // Find the Workflow ID column index dynamically by scanning headers
-  function findWorkflowIdColumnIndex(table) {
+  // Find the Workflow ID (or Schedule ID) column index dynamically by scanning headers
+  function findIdColumnIndex(table) {
     const headers = table.querySelectorAll('thead th');
     for (let i = 0; i < headers.length; i++) {
-      if (headers[i].textContent.trim() === 'Workflow ID') {
+      if (ID_COLUMN_HEADERS.includes(headers[i].textContent.trim())) {
         return i + 1; // Convert to 1-based nth-child index
       }
     }
     return null;
   }
 
+  // ID column of each table, computed once per pass (header changes trigger the next pass,
+  // which starts with an empty cache)
+  let idColumns = new WeakMap();
+
+  // Cached findIdColumnIndex(), so rows don't scan the header again within a pass
+  function getIdColumnIndex(table) {
+    if (!idColumns.has(table)) {
+      idColumns.set(table, findIdColumnIndex(table));
+    }
+    return idColumns.get(table);
+  }
+
   // Check if the table already has our tenant name header
   function hasTenantHeader(table) {
     return table.querySelector('.tenant-name-header') !== null;
@@ -55,20 +95,20 @@
       return true;
     }
 
-    // Find Workflow ID column dynamically
-    const workflowIdIndex = findWorkflowIdColumnIndex(table);
-    if (!workflowIdIndex) return false;
+    // Find Workflow ID / Schedule ID column dynamically
+    const idColumnIndex = findIdColumnIndex(table);
+    if (!idColumnIndex) return false;
 
-    const workflowIdHeader = headerRow.querySelector(`th:nth-child(${workflowIdIndex})`);
-    if (!workflowIdHeader) return false;
+    const idHeader = headerRow.querySelector(`th:nth-child(${idColumnIndex})`);
+    if (!idHeader) return false;
 
-    // Create and insert the new header after Workflow ID
+    // Create and insert the new header after the ID column
     const tenantHeader = document.createElement('th');
     tenantHeader.textContent = 'Tenant Name';
     tenantHeader.className = 'tenant-name-header';
     
-    // Insert after the Workflow ID header
-    const nextHeader = headerRow.querySelector(`th:nth-child(${workflowIdIndex + 1})`);
+    // Insert after the ID header
+    const nextHeader = headerRow.querySelector(`th:nth-child(${idColumnIndex + 1})`);
     if (nextHeader) {
       headerRow.insertBefore(tenantHeader, nextHeader);
     } else {
@@ -79,103 +119,407 @@
     return true;
   }
 
-  // Process a single row to add tenant name cell
-  function processRow(row, workflowIdIndex) {
-    // Skip if already has a tenant cell
-    if (row.querySelector('.tenant-name-cell')) {
-      return;
-    }
-
-    // Get the Workflow ID cell using dynamic index
-    const workflowIdCell = row.querySelector(`td:nth-child(${workflowIdIndex})`);
-    if (!workflowIdCell) return;
+  // Workflow (or schedule) ID shown in a table row, with the column it was read from
+  function readRowId(row) {
+    const idColumnIndex = getIdColumnIndex(row.closest('table'));
+    const idCell = idColumnIndex ? row.querySelector(`td:nth-child(${idColumnIndex})`) : null;
+    if (!idCell) return '';
 
-    // Extract the workflow ID from the link text
-    const workflowIdLink = workflowIdCell.querySelector('a');
-    const workflowId = workflowIdLink ? workflowIdLink.textContent.trim() : workflowIdCell.textContent.trim();
-
-    if (!workflowId) return;
+    // Extract the workflow (or schedule) ID from the link text
+    const idLink = idCell.querySelector('a');
+    const workflowId = idLink ? idLink.textContent.trim() : idCell.textContent.trim();
+    return workflowId ? `${idColumnIndex}\u0000${workflowId}` : '';
+  }
 
-    // Extract tenant ID and get tenant name
-    const tenantId = ext.extractTenantIdFromWorkflowId(workflowId);
+  // Add the tenant name cell after the Workflow ID / Schedule ID cell
+  function renderRowCell(row, tenantIds) {
+    const idColumnIndex = getIdColumnIndex(row.closest('table'));
+    const tenantId = tenantIds[0] || null;
     const tenantName = ext.getTenantName(tenantId);
 
     // Create the new cell
     const tenantCell = document.createElement('td');
-    tenantCell.textContent = tenantName;
     tenantCell.className = 'workflows-summary-table-body-cell tenant-name-cell';
     tenantCell.setAttribute('data-tenant-id', tenantId || '');
+    setCellName(tenantCell, tenantId, tenantName);
+
+    // Unmapped tenant IDs can be named in place
+    if (tenantId && tenantName === 'Unknown') {
+      makeCellEditable(tenantCell);
+    }
 
     // Insert after the Workflow ID cell
-    const nextCell = row.querySelector(`td:nth-child(${workflowIdIndex + 1})`);
+    const nextCell = row.querySelector(`td:nth-child(${idColumnIndex + 1})`);
     if (nextCell) {
       row.insertBefore(tenantCell, nextCell);
     } else {
       row.appendChild(tenantCell);
     }
+    return tenantCell;
+  }
+
+  // Show the tenant name in a cell, as a colored badge when the tenant is mapped
+  function setCellName(cell, tenantId, tenantName) {
+    if (tenantName === 'Unknown') {
+      cell.textContent = tenantName;
+      return;
+    }
+    cell.replaceChildren(ext.createTenantLabel(tenantId, { className: 'tenant-name-badge' }));
   }
 
-  // Process all rows in the table
-  function processAllRows(table) {
-    const tbody = table.querySelector('tbody');
-    if (!tbody) return;
+  // Turn an "Unknown" cell into a button that opens the mapping editor
+  function makeCellEditable(cell) {
+    cell.classList.add('tenant-name-unknown');
+    cell.title = 'Click to name this tenant';
+    cell.addEventListener('click', handleUnknownCellClick);
+  }
 
-    // Find Workflow ID column dynamically
-    const workflowIdIndex = findWorkflowIdColumnIndex(table);
-    if (!workflowIdIndex) return;
+  // Open the in-page editor for the clicked cell's tenant ID
+  async function handleUnknownCellClick(e) {
+    // Don't let the row's own click handler navigate to the workflow
+    e.preventDefault();
+    e.stopPropagation();
+
+    const cell = e.currentTarget;
+    const tenantId = cell.getAttribute('data-tenant-id');
+    if (!tenantId) return;
+
+    const savedName = await ext.openTenantEditor({ tenantId, anchor: cell });
+    if (savedName) {
+      // Don't wait for the storage listener to show the new name
+      annotator.refresh();
+      console.log('[Temporal Extension] Named tenant', tenantId, 'as', savedName);
+    }
+  }
 
-    const rows = tbody.querySelectorAll('tr');
-    let processedCount = 0;
-    rows.forEach(row => {
-      if (!row.querySelector('.tenant-name-cell')) {
-        processRow(row, workflowIdIndex);
-        processedCount++;
+  // Add the header to every table whose rows got a tenant column
+  function processTableHeaders() {
+    document.querySelectorAll('table.holocene-table').forEach(table => {
+      if (table.querySelector('tbody .tenant-name-cell')) {
+        addTenantNameHeader(table);
       }
     });
-    if (processedCount > 0) {
-      console.log('[Temporal Extension] Processed', processedCount, 'new rows');
+  }
+
+  // Remove the tenant column headers (the cells go with the annotations)
+  function removeTableHeaders() {
+    document.querySelectorAll('.tenant-name-header').forEach(header => header.remove());
+  }
+
+  // Score how well a tenant name matches the query: every query character must appear in order.
+  // Lower is better (earlier and more contiguous matches); null if it doesn't match.
+  function fuzzyScore(name, query) {
+    const haystack = name.toLowerCase();
+    let score = 0;
+    let position = -1;
+    for (const char of query.toLowerCase()) {
+      if (char === ' ') continue;
+      const found = haystack.indexOf(char, position + 1);
+      if (found === -1) return null;
+      score += found - position - 1;
+      position = found;
     }
+    return score;
+  }
+
+  // Mapped tenants matching the picker's search, best first
+  function findPickerTenants(query) {
+    return Object.entries(ext.getCachedMappings())
+      .map(([id, name]) => ({ id, name, score: id.startsWith(query.toLowerCase()) ? 0 : fuzzyScore(name, query) }))
+      .filter(entry => entry.score !== null)
+      .sort((a, b) => a.score - b.score || a.name.localeCompare(b.name))
+      .slice(0, PICKER_MAX_RESULTS);
   }
 
-  // Process the table (add header and process rows)
-  function processTable(table) {
-    if (!table || !extensionEnabled) return;
+  // Apply a tenant's visibility query by updating the page URL's query parameter
+  function applyTenantQuery(tenantId, combine) {
+    const url = new URL(location.href);
+    const current = (url.searchParams.get('query') || '').trim();
+    const tenantQuery = ext.buildWorkflowIdQuery(tenantId);
+    const query = combine && current && current !== tenantQuery ? `(${current}) AND ${tenantQuery}` : tenantQuery;
 
-    // Add header if not already added
-    const headerAdded = addTenantNameHeader(table);
-    if (!headerAdded) {
+    url.searchParams.set('query', query);
+    console.log('[Temporal Extension] Applying tenant query:', query);
+    location.assign(url.toString());
+  }
+
+  // Render the tenant list of an open picker
+  function renderPickerList(picker) {
+    const input = picker.querySelector('.tenant-picker-search');
+    const list = picker.querySelector('.tenant-picker-list');
+    const tenants = findPickerTenants(input.value.trim());
+    const activeIndex = Math.min(Number(picker.getAttribute('data-active-index')) || 0, Math.max(0, tenants.length - 1));
+    picker.setAttribute('data-active-index', activeIndex);
+
+    if (tenants.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'tenant-picker-empty';
+      empty.textContent = Object.keys(ext.getCachedMappings()).length === 0 ? 'No tenant mappings yet' : 'No matching tenants';
+      list.replaceChildren(empty);
       return;
     }
 
-    // Process all rows
-    processAllRows(table);
+    list.replaceChildren(...tenants.map((tenant, index) => {
+      const item = document.createElement('div');
+      item.className = 'tenant-picker-item';
+      item.classList.toggle('tenant-picker-item-active', index === activeIndex);
+      // Not data-tenant-id: the picker's tenants aren't detected on the page
+      item.setAttribute('data-picker-tenant-id', tenant.id);
+
+      const name = document.createElement('span');
+      name.className = 'tenant-name-badge';
+      name.textContent = tenant.name;
+      ext.applyTenantBadge(name, tenant.id);
+
+      const id = document.createElement('span');
+      id.className = 'tenant-picker-id';
+      id.textContent = tenant.id;
+
+      item.append(name, id);
+      return item;
+    }));
+  }
+
+  function openPicker(picker) {
+    picker.classList.add('tenant-picker-open');
+    picker.setAttribute('data-active-index', 0);
+    const input = picker.querySelector('.tenant-picker-search');
+    input.value = '';
+    renderPickerList(picker);
+    input.focus();
   }
 
-  // Debounced reprocessing - handles rapid Svelte re-renders
-  function scheduleReprocess() {
-    if (reprocessTimer) {
-      clearTimeout(reprocessTimer);
+  function closePicker(picker) {
+    picker.classList.remove('tenant-picker-open');
+  }
+
+  // Keyboard navigation in the picker's search field
+  function handlePickerKeydown(e) {
+    const picker = e.currentTarget.closest('.tenant-picker');
+    const items = picker.querySelectorAll('.tenant-picker-item');
+    const activeIndex = Number(picker.getAttribute('data-active-index')) || 0;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (items.length === 0) return;
+      const next = (activeIndex + (e.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length;
+      picker.setAttribute('data-active-index', next);
+      renderPickerList(picker);
+      picker.querySelector('.tenant-picker-item-active').scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+      const item = items[activeIndex];
+      if (item) applyTenantQuery(item.getAttribute('data-picker-tenant-id'), picker.querySelector('.tenant-picker-combine').checked);
+    } else if (e.key === 'Escape') {
+      closePicker(picker);
+    } else {
+      return;
     }
-    reprocessTimer = setTimeout(() => {
-      reprocessTimer = null;
-      const table = document.querySelector('table.holocene-table');
-      if (table && extensionEnabled) {
-        processTable(table);
+    // Keep Temporal's own shortcuts from reacting
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  // Create the picker: a button opening a searchable list of mapped tenants
+  function createTenantPicker() {
+    const picker = document.createElement('div');
+    picker.className = 'tenant-picker';
+    picker.innerHTML = `
+      <button type="button" class="tenant-picker-toggle">Tenant &#9662;</button>
+      <div class="tenant-picker-panel">
+        <input type="text" class="tenant-picker-search" placeholder="Search tenants..." autocomplete="off" />
+        <label class="tenant-picker-combine-label">
+          <input type="checkbox" class="tenant-picker-combine" />
+          Combine with current query
+        </label>
+        <div class="tenant-picker-list"></div>
+      </div>
+    `;
+
+    picker.querySelector('.tenant-picker-toggle').addEventListener('click', () => {
+      if (picker.classList.contains('tenant-picker-open')) {
+        closePicker(picker);
+      } else {
+        openPicker(picker);
       }
-    }, REPROCESS_DEBOUNCE_MS);
+    });
+
+    const input = picker.querySelector('.tenant-picker-search');
+    input.addEventListener('input', () => {
+      picker.setAttribute('data-active-index', 0);
+      renderPickerList(picker);
+    });
+    input.addEventListener('keydown', handlePickerKeydown);
+
+    picker.querySelector('.tenant-picker-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.tenant-picker-item');
+      if (item) applyTenantQuery(item.getAttribute('data-picker-tenant-id'), picker.querySelector('.tenant-picker-combine').checked);
+    });
+
+    return picker;
   }
 
-  // Reprocess table when mappings change
-  function handleMappingsUpdate() {
-    const table = document.querySelector('table.holocene-table');
-    if (table) {
-      // Remove existing tenant cells so they get recreated with new names
-      table.querySelectorAll('.tenant-name-cell').forEach(cell => cell.remove());
-      table.querySelectorAll('.tenant-name-header').forEach(header => header.remove());
-      
-      // Reprocess
-      processTable(table);
+  // Add the tenant picker next to the workflows search bar (Svelte may remove it on re-render)
+  function injectTenantPicker() {
+    if (!extensionEnabled || !WORKFLOWS_LIST_PATH.test(location.pathname)) return;
+    if (document.querySelector('.tenant-picker')) return;
+
+    let anchor = null;
+    for (const selector of SEARCH_BAR_SELECTORS) {
+      anchor = document.querySelector(selector);
+      if (anchor) break;
+    }
+    if (!anchor) {
+      const table = document.querySelector('table.holocene-table');
+      anchor = table ? table.parentElement : null;
     }
+    if (!anchor || !anchor.parentElement) return;
+
+    anchor.parentElement.insertBefore(createTenantPicker(), anchor);
+    console.log('[Temporal Extension] Added tenant picker');
+  }
+
+  // Remove the tenant picker
+  function removeTenantPicker() {
+    document.querySelectorAll('.tenant-picker').forEach(picker => picker.remove());
+  }
+
+  // Workflow ID of the workflow page being shown, or null on other pages
+  function getDetailWorkflowId() {
+    const match = location.pathname.match(WORKFLOW_DETAIL_PATH);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  // Schedule ID of the schedule page being shown, or null on other pages
+  function getDetailScheduleId() {
+    const match = location.pathname.match(SCHEDULE_DETAIL_PATH);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  // Pages annotated value by value rather than through a table column
+  function isDetailPage() {
+    return Boolean(getDetailWorkflowId() || getDetailScheduleId() || BATCH_OPERATIONS_PATH.test(location.pathname));
+  }
+
+  // Tenant badge for the workflow detail page; carries its own tenant ID for the hover card
+  function createDetailLabel(tenantId) {
+    const label = ext.createTenantLabel(tenantId, { className: 'tenant-name-label tenant-name-badge tenant-detail-label' });
+    label.setAttribute('data-tenant-id', tenantId);
+    return label;
+  }
+
+  // Labels for the mapped tenants, appended to the element
+  function renderDetailLabels(element, tenantIds) {
+    return tenantIds
+      .filter(id => ext.getTenantName(id) !== 'Unknown')
+      .map(id => element.appendChild(createDetailLabel(id)));
+  }
+
+  // Mapped tenants among the UUIDs in a text
+  function findMappedTenants(text) {
+    const ids = new Set((text.match(UUID_SEARCH_PATTERN) || []).map(id => id.toLowerCase()));
+    return Array.from(ids).filter(id => ext.getTenantName(id) !== 'Unknown');
+  }
+
+  // Tenants of the workflow IDs a visibility query targets, e.g. WorkflowId STARTS_WITH "<uuid>"
+  function findQueryTenants(query) {
+    const tenantIds = Array.from(query.matchAll(QUERY_WORKFLOW_ID_PATTERN))
+      .map(match => ext.extractTenantIdFromWorkflowId(match[1]))
+      .filter(Boolean);
+    return Array.from(new Set(tenantIds));
+  }
+
+  // Svelte re-renders the table and the detail pages at any time; the engine re-renders changed
+  // values and puts back annotations that were wiped out
+  const annotator = ext.createAnnotator({
+    name: 'Temporal',
+    skipSelector: '.tenant-name-cell, .tenant-name-header, .tenant-detail-label, .tenant-payload-tenants, .tenant-picker, script, style',
+    debounceMs: REPROCESS_DEBOUNCE_MS,
+    onUpdate: () => {
+      idColumns = new WeakMap();
+      if (extensionEnabled) processTableHeaders();
+    }
+  });
+
+  // Workflows and schedules tables: a "Tenant Name" cell after the ID cell of every row, with the
+  // Temporal workflow ID rules (schedule IDs share the format)
+  annotator.register({
+    name: 'table-row',
+    selector: 'table.holocene-table tbody tr',
+    // Rows without an ID (e.g. the empty state) get no cell; detail pages are annotated value by value
+    match: row => !isDetailPage() && readRowId(row) !== '',
+    read: readRowId,
+    extract: value => ext.extractTenantId('temporal', 'workflowId', value.split('\u0000')[1]),
+    always: true,
+    render: renderRowCell
+  });
+
+  // Badge next to the workflow ID (or schedule ID) title
+  annotator.register({
+    name: 'detail-heading',
+    selector: DETAIL_HEADING_SELECTOR,
+    match: heading => Boolean(getDetailWorkflowId() || getDetailScheduleId()) &&
+      heading === document.querySelector(DETAIL_HEADING_SELECTOR),
+    read: () => getDetailWorkflowId() || getDetailScheduleId(),
+    extract: id => ext.extractTenantIdFromWorkflowId(id),
+    render: renderDetailLabels
+  });
+
+  // Badges after links to other workflows (parent, children, continued-as-new runs)
+  annotator.register({
+    name: 'workflow-link',
+    selector: 'a[href*="/workflows/"]',
+    match: isDetailPage,
+    read: link => link.getAttribute('href'),
+    extract: href => {
+      const match = href.match(WORKFLOW_LINK_PATH);
+      if (!match) return null;
+      const linkedWorkflowId = decodeURIComponent(match[1]);
+      // Tabs and links to the current workflow are covered by the heading badge
+      if (linkedWorkflowId === getDetailWorkflowId()) return null;
+      return ext.extractTenantIdFromWorkflowId(linkedWorkflowId);
+    },
+    render: (link, tenantIds) => link.insertAdjacentElement('afterend', createDetailLabel(tenantIds[0]))
+  });
+
+  // The tenants a payload mentions, listed under its code block (editors can't be annotated inline)
+  annotator.register({
+    name: 'payload',
+    selector: CODE_BLOCK_SELECTOR,
+    match: isDetailPage,
+    read: block => block.textContent,
+    extract: findMappedTenants,
+    render: (block, tenantIds) => {
+      const summary = document.createElement('div');
+      summary.className = 'tenant-payload-tenants';
+      const title = document.createElement('span');
+      title.className = 'tenant-payload-title';
+      title.textContent = tenantIds.length === 1 ? 'Tenant:' : 'Tenants:';
+      summary.append(title, ...tenantIds.map(createDetailLabel));
+      block.insertAdjacentElement('afterend', summary);
+      return summary;
+    }
+  });
+
+  // Badges after UUID values shown as plain text (search attributes, event history fields):
+  // a bare UUID, a workflow ID in the tenant's format, or a batch operation's target query
+  annotator.register({
+    name: 'detail-value',
+    // Cheap check before running the rules
+    matchText: text => text.length >= 36,
+    match: element => isDetailPage() &&
+      annotator.isLeaf(element) &&
+      (element.closest('main') !== null || !document.querySelector('main')) &&
+      !element.closest(`${CODE_BLOCK_SELECTOR}, a, ${DETAIL_HEADING_SELECTOR}`),
+    extract: value => {
+      const tenantId = ext.isValidUUID(value) ? value : ext.extractTenantIdFromWorkflowId(value);
+      return tenantId ? [tenantId] : findQueryTenants(value);
+    },
+    render: renderDetailLabels
+  });
+
+  // Reprocess table and detail pages when mappings change
+  function handleMappingsUpdate() {
+    if (!extensionEnabled) return;
+    annotator.refresh();
   }
 
   // Main initialization function
@@ -183,11 +527,13 @@
     console.log('[Temporal Extension] Initializing...');
 
     // Use shared initSite utility
+    // Ends the previous session, so re-enabling never duplicates observers or timers
+    const session = lifecycle.start();
     const result = await ext.initSite('temporal');
+    if (!session.active) return false; // Disabled again while loading
     if (!result.ok) {
       if (result.disabled) {
         console.log('[Temporal Extension] Temporal Cloud is disabled in settings');
-        extensionEnabled = false;
       } else {
         console.error('[Temporal Extension] Failed to initialize:', result.error || 'Unknown error');
       }
@@ -195,106 +541,100 @@
     }
 
     extensionEnabled = true;
+    // Remove the picker and the column headers when the session ends (the cells go with the annotator)
+    session.add(() => {
+      extensionEnabled = false;
+      removeTenantPicker();
+      removeTableHeaders();
+    });
 
-    // Find the table
-    const table = document.querySelector('table.holocene-table');
-    if (!table) {
-      console.log('[Temporal Extension] Table not found, will retry');
-      return false;
-    }
+    // Tenant picker next to the search bar
+    injectTenantPicker();
 
-    // Process the table
-    processTable(table);
+    // Table column, or workflow, schedule and batch operation page annotations; tables that
+    // render later are picked up by the annotator's observer
+    annotator.process();
+    annotator.observe(session);
 
     console.log('[Temporal Extension] Initialization complete');
     return true;
   }
 
-  // Persistent DOM observer that watches for table changes.
-  // Svelte can re-render the entire table at any time, so we need
-  // a resilient observer that never disconnects and re-injects our
-  // column whenever it detects the table has been re-rendered.
+  // Annotate the page navigated to, once the SPA has rendered it
+  function handleNavigation() {
+    injectTenantPicker();
+    annotator.process();
+  }
+
+  // Persistent DOM observer for SPA navigation and the tenant picker. Svelte can re-render
+  // the search bar at any time, so the observer lives as long as the page.
   function setupPersistentObserver() {
     let lastUrl = location.href;
 
-    const observer = new MutationObserver(() => {
-      // Check for SPA navigation
+    lifecycle.observe(document.body, {
+      childList: true,
+      subtree: true
+    }, () => {
+      // Check for SPA navigation; the timeout belongs to the session, so disabling cancels it
       const currentUrl = location.href;
       if (currentUrl !== lastUrl) {
         lastUrl = currentUrl;
-        console.log('[Temporal Extension] URL changed, reinitializing');
-        setTimeout(() => initExtension(), SPA_NAVIGATION_DELAY);
+        if (lifecycle.session && extensionEnabled) {
+          console.log('[Temporal Extension] URL changed, reprocessing');
+          lifecycle.session.setTimeout(handleNavigation, SPA_NAVIGATION_DELAY);
+        }
         return;
       }
 
-      if (!extensionEnabled) return;
-
-      // Check if the table exists but is missing our column
-      const table = document.querySelector('table.holocene-table');
-      if (table) {
-        // If the table doesn't have our header, Svelte re-rendered it
-        if (!hasTenantHeader(table)) {
-          scheduleReprocess();
-          return;
-        }
-
-        // Check if there are unprocessed rows (new rows added by pagination, etc.)
-        const tbody = table.querySelector('tbody');
-        if (tbody) {
-          const unprocessedRows = tbody.querySelectorAll('tr:not(:has(.tenant-name-cell))');
-          if (unprocessedRows.length > 0) {
-            scheduleReprocess();
-          }
-        }
+      // Re-add the tenant picker if Svelte re-rendered the search bar
+      if (extensionEnabled && !document.querySelector('.tenant-picker')) {
+        injectTenantPicker();
       }
     });
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
-
     console.log('[Temporal Extension] Set up persistent DOM observer');
   }
 
   // Set up storage change listener
   ext.setupStorageListener(handleMappingsUpdate);
 
+  // Answer the toolbar popup
+  ext.setupDetectedTenantsListener('temporal');
+
+  // Handle the "Tenant mapping" context menu
+  ext.setupContextMenuListener();
+
+  // Tenant details and deep links on hover
+  ext.setupTenantHoverCard('temporal');
+
+  // Close an open tenant picker when clicking elsewhere on the page
+  lifecycle.listen(document, 'mousedown', (e) => {
+    document.querySelectorAll('.tenant-picker-open').forEach(picker => {
+      if (!picker.contains(e.target)) closePicker(picker);
+    });
+  });
+
   // Set up site settings listener
   ext.setupSiteSettingsListener('temporal', {
     onDisabled: () => {
       console.log('[Temporal Extension] Disabled via settings, stopping');
-      extensionEnabled = false;
-      // Remove any added columns
-      const table = document.querySelector('table.holocene-table');
-      if (table) {
-        table.querySelectorAll('.tenant-name-cell').forEach(cell => cell.remove());
-        table.querySelectorAll('.tenant-name-header').forEach(header => header.remove());
-      }
+      lifecycle.stop();
     },
     onEnabled: () => {
       console.log('[Temporal Extension] Enabled via settings, reinitializing');
-      extensionEnabled = true;
       initExtension();
     }
   });
 
   // Start the extension
-  async function start() {
-    // Set up the persistent observer first — it will catch any table
-    // that appears or re-renders regardless of timing
+  function start() {
+    // Set up the persistent observer first, so navigation during initialization isn't missed
     setupPersistentObserver();
-
-    // Try immediate initialization
-    const success = await initExtension();
-    if (!success) {
-      // Table not ready yet; the persistent observer will pick it up
-      console.log('[Temporal Extension] Waiting for table to appear...');
-    }
+    initExtension();
   }
 
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', start);
+    lifecycle.listen(document, 'DOMContentLoaded', start);
   } else {
     start();
   }
@@ -0,0 +1,245 @@
+// Tenant Name Mapper Extension - Hover Card
+// Shows tenant details and deep links into the other tools when hovering a tenant annotation.
+// Loaded after shared.js on every supported site; adds setupTenantHoverCard() to TenantNameExtension.
+
+(function() {
+  'use strict';
+
+  const ext = window.TenantNameExtension;
+
+  // Injected again when content scripts overlap in a page; one card is enough
+  if (ext.setupTenantHoverCard) return;
+
+  // Constants
+  const SHOW_DELAY_MS = 350;
+  const HIDE_DELAY_MS = 200;
+  const COPIED_RESET_MS = 1500;
+  const ANNOTATION_SELECTOR = '.tenant-name-cell, .tenant-name-label, .tenant-name-label-url';
+
+  // Card state (one card per page)
+  let card = null;
+  let currentAnchor = null;
+  // Cancel functions of the pending show/hide timeouts (owned by the page lifecycle)
+  let showTimer = null;
+  let hideTimer = null;
+  let currentSite = null;
+  let linkTemplates = { ...ext.DEFAULT_LINK_TEMPLATES };
+  let datadogHost = ext.DATADOG_REGIONS[0].host;
+
+  // Tenant ID of an annotation, read from the nearest element the content script stamped
+  function getAnnotationTenantId(annotation) {
+    const host = annotation.closest('[data-tenant-id]');
+    const tenantId = host ? host.getAttribute('data-tenant-id') : null;
+    return ext.isValidUUID(tenantId) ? tenantId : null;
+  }
+
+  // Build the card for a tenant: name, environment, UUID with copy button, details and links
+  function buildCard(tenantId) {
+    const record = ext.getTenantRecord(tenantId);
+
+    const element = document.createElement('div');
+    element.className = 'tenant-ext-card';
+    element.innerHTML = `
+      <div class="tenant-ext-card-header">
+        <span class="tenant-ext-card-name"></span>
+        <span class="tenant-ext-card-env"></span>
+      </div>
+      <div class="tenant-ext-card-id-row">
+        <code class="tenant-ext-card-id"></code>
+        <button type="button" class="tenant-ext-card-copy">Copy</button>
+      </div>
+      <div class="tenant-ext-card-details"></div>
+      <div class="tenant-ext-card-notes"></div>
+      <div class="tenant-ext-card-links"></div>
+    `;
+
+    const nameSpan = element.querySelector('.tenant-ext-card-name');
+    const envSpan = element.querySelector('.tenant-ext-card-env');
+    nameSpan.textContent = record ? record.name : 'Unknown tenant';
+    if (record && record.environment) {
+      envSpan.textContent = ext.ENVIRONMENT_LABELS[record.environment];
+      ext.applyTenantBadge(envSpan, tenantId);
+    } else {
+      envSpan.remove();
+    }
+
+    element.querySelector('.tenant-ext-card-id').textContent = tenantId;
+    const copyBtn = element.querySelector('.tenant-ext-card-copy');
+    copyBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      try {
+        await navigator.clipboard.writeText(tenantId);
+        copyBtn.textContent = 'Copied';
+      } catch (error) {
+        copyBtn.textContent = 'Failed';
+      }
+      ext.getLifecycle().setTimeout(() => { copyBtn.textContent = 'Copy'; }, COPIED_RESET_MS);
+    });
+
+    // Parent org, tier and tags on one line
+    const detailsDiv = element.querySelector('.tenant-ext-card-details');
+    const details = [];
+    if (record && record.parentOrg) details.push(`Org: ${record.parentOrg}`);
+    if (record && record.tier) details.push(`Tier: ${record.tier}`);
+    if (record && record.tags.length > 0) details.push(record.tags.map(tag => `#${tag}`).join(' '));
+    if (details.length > 0) {
+      detailsDiv.textContent = details.join(' · ');
+    } else {
+      detailsDiv.remove();
+    }
+
+    const notesDiv = element.querySelector('.tenant-ext-card-notes');
+    if (record && record.notes) {
+      notesDiv.textContent = record.notes;
+    } else {
+      notesDiv.remove();
+    }
+
+    // Deep links into the other tools
+    const linksDiv = element.querySelector('.tenant-ext-card-links');
+    const links = ext.buildTenantLinks(tenantId, linkTemplates, datadogHost).filter(link => link.site !== currentSite);
+    links.forEach(link => {
+      const anchor = document.createElement('a');
+      anchor.className = 'tenant-ext-card-link';
+      anchor.href = link.url;
+      anchor.target = '_blank';
+      anchor.rel = 'noopener noreferrer';
+      anchor.textContent = link.label;
+      linksDiv.appendChild(anchor);
+    });
+    if (links.length === 0) {
+      linksDiv.remove();
+    }
+
+    // Keep the card open while the pointer is over it
+    element.addEventListener('mouseenter', cancelHide);
+    element.addEventListener('mouseleave', scheduleHide);
+    // Don't let page handlers (row navigation, shortcuts) react to clicks in the card
+    element.addEventListener('click', (e) => e.stopPropagation());
+
+    return element;
+  }
+
+  // Place the card under the anchor, flipping above it near the bottom of the viewport
+  function positionCard(anchor) {
+    const rect = anchor.getBoundingClientRect();
+    const cardRect = card.getBoundingClientRect();
+    const below = rect.bottom + 6;
+    const top = below + cardRect.height > window.innerHeight
+      ? Math.max(8, rect.top - cardRect.height - 6)
+      : below;
+    const left = Math.max(8, Math.min(rect.left, window.innerWidth - cardRect.width - 8));
+    card.style.top = `${top}px`;
+    card.style.left = `${left}px`;
+  }
+
+  // Show the card for an annotation, replacing any open card
+  function showCard(annotation) {
+    showTimer = null;
+    if (!annotation.isConnected) return;
+
+    const tenantId = getAnnotationTenantId(annotation);
+    if (!tenantId) return;
+
+    hideCard();
+    card = buildCard(tenantId);
+    currentAnchor = annotation;
+    document.body.appendChild(card);
+    positionCard(annotation);
+  }
+
+  // Remove the card immediately
+  function hideCard() {
+    cancelHide();
+    if (card) {
+      card.remove();
+      card = null;
+    }
+    currentAnchor = null;
+  }
+
+  function scheduleHide() {
+    cancelHide();
+    hideTimer = ext.getLifecycle().setTimeout(hideCard, HIDE_DELAY_MS);
+  }
+
+  function cancelHide() {
+    if (hideTimer) {
+      hideTimer();
+      hideTimer = null;
+    }
+  }
+
+  // Track the pointer across annotations with one delegated listener
+  function handleMouseOver(e) {
+    const target = e.target;
+    if (!(target instanceof Element)) return;
+
+    if (card && card.contains(target)) {
+      cancelHide();
+      return;
+    }
+
+    const annotation = target.closest(ANNOTATION_SELECTOR);
+    if (annotation && annotation === currentAnchor) {
+      cancelHide();
+      return;
+    }
+
+    if (showTimer) {
+      showTimer();
+      showTimer = null;
+    }
+
+    if (!annotation) {
+      if (card) scheduleHide();
+      return;
+    }
+
+    showTimer = ext.getLifecycle().setTimeout(() => showCard(annotation), SHOW_DELAY_MS);
+  }
+
+  /**
+   * Show a tenant hover card on Temporal, ClickHouse and Datadog annotations
+   * @param {string} siteKey - The current site; links into the same tool are left out
+   */
+  function setupTenantHoverCard(siteKey) {
+    // Called by every adapter running in the page; the first one's site is used
+    if (currentSite !== null) return;
+    currentSite = siteKey;
+
+    ext.loadLinkTemplates().then(templates => {
+      linkTemplates = templates;
+    });
+    // Datadog links point at the region the user is on
+    ext.loadDatadogHost().then(host => {
+      datadogHost = host;
+    });
+
+    // Owned by the page lifecycle: the card goes away with the extension context
+    const lifecycle = ext.getLifecycle();
+    lifecycle.onStorageChanged(async (changes, area) => {
+      if (area === 'sync' && changes[ext.LINK_TEMPLATES_KEY]) {
+        linkTemplates = await ext.loadLinkTemplates();
+      }
+      if (area === 'local' && changes[ext.DATADOG_HOST_KEY]) {
+        datadogHost = await ext.loadDatadogHost();
+      }
+    });
+
+    lifecycle.listen(document, 'mouseover', handleMouseOver);
+    lifecycle.listen(document, 'keydown', (e) => {
+      if (e.key === 'Escape') hideCard();
+    });
+    // The card is fixed-position, so it would drift away from its anchor on scroll
+    lifecycle.listen(window, 'scroll', hideCard, { capture: true, passive: true });
+    // Pending timeouts are cleared by the lifecycle itself
+    lifecycle.add(() => {
+      showTimer = null;
+      hideCard();
+    });
+  }
+
+  ext.setupTenantHoverCard = setupTenantHoverCard;
+
+})();
@@ -3,25 +3,117 @@
 (function() {
   'use strict';
 
+  const ext = window.TenantNameExtension;
+
   // DOM elements
   const newTenantIdInput = document.getElementById('newTenantId');
   const newTenantNameInput = document.getElementById('newTenantName');
+  const newTenantEnvironmentSelect = document.getElementById('newTenantEnvironment');
   const addBtn = document.getElementById('addBtn');
   const mappingsContainer = document.getElementById('mappingsContainer');
   const messageDiv = document.getElementById('message');
+  const storageWarningDiv = document.getElementById('storageWarning');
   const totalMappingsSpan = document.getElementById('totalMappings');
   const clearAllBtn = document.getElementById('clearAllBtn');
   const temporalEnabled = document.getElementById('temporalEnabled');
   const clickhouseEnabled = document.getElementById('clickhouseEnabled');
   const datadogEnabled = document.getElementById('datadogEnabled');
+  const grafanaEnabled = document.getElementById('grafanaEnabled');
+  const sentryEnabled = document.getElementById('sentryEnabled');
+  const datadogRegionsDiv = document.getElementById('datadogRegions');
+  const grafanaHostsInput = document.getElementById('grafanaHosts');
+  const grafanaHostsSaveBtn = document.getElementById('grafanaHostsSaveBtn');
+  const remoteEnabled = document.getElementById('remoteEnabled');
+  const siteTogglesDiv = document.getElementById('siteToggles');
+  const customSiteNameInput = document.getElementById('customSiteName');
+  const customSitePatternInput = document.getElementById('customSitePattern');
+  const customSiteSelectorInput = document.getElementById('customSiteSelector');
+  const customSiteRuleSiteSelect = document.getElementById('customSiteRuleSite');
+  const customSiteFieldSelect = document.getElementById('customSiteField');
+  const customSiteAddBtn = document.getElementById('customSiteAddBtn');
+  const customSitesContainer = document.getElementById('customSitesContainer');
+  const remoteUrlInput = document.getElementById('remoteUrl');
+  const remoteRefreshMinutesInput = document.getElementById('remoteRefreshMinutes');
+  const remoteSaveBtn = document.getElementById('remoteSaveBtn');
+  const remoteRefreshBtn = document.getElementById('remoteRefreshBtn');
+  const remoteLastFetch = document.getElementById('remoteLastFetch');
+  const remoteStatus = document.getElementById('remoteStatus');
+  const remoteCount = document.getElementById('remoteCount');
+  const exportScopeSelect = document.getElementById('exportScope');
+  const exportFormatSelect = document.getElementById('exportFormat');
+  const exportBtn = document.getElementById('exportBtn');
+  const importFileInput = document.getElementById('importFile');
+  const importPreview = document.getElementById('importPreview');
+  const importSummary = document.getElementById('importSummary');
+  const importErrors = document.getElementById('importErrors');
+  const importDiff = document.getElementById('importDiff');
+  const importCancelBtn = document.getElementById('importCancelBtn');
+  const importApplyBtn = document.getElementById('importApplyBtn');
+  const editDialog = document.getElementById('editDialog');
+  const editForm = document.getElementById('editForm');
+  const editTenantIdDiv = document.getElementById('editTenantId');
+  const editNameInput = document.getElementById('editName');
+  const editEnvironmentSelect = document.getElementById('editEnvironment');
+  const editParentOrgInput = document.getElementById('editParentOrg');
+  const editTierInput = document.getElementById('editTier');
+  const editUseColorCheckbox = document.getElementById('editUseColor');
+  const editColorInput = document.getElementById('editColor');
+  const editTagsInput = document.getElementById('editTags');
+  const editNotesInput = document.getElementById('editNotes');
+  const editCancelBtn = document.getElementById('editCancelBtn');
+  const paletteEditor = document.getElementById('paletteEditor');
+  const paletteSaveBtn = document.getElementById('paletteSaveBtn');
+  const paletteResetBtn = document.getElementById('paletteResetBtn');
+  const linkTemplatesDiv = document.getElementById('linkTemplates');
+  const linksSaveBtn = document.getElementById('linksSaveBtn');
+  const linksResetBtn = document.getElementById('linksResetBtn');
+  const datadogFilterTemplateInput = document.getElementById('datadogFilterTemplate');
+  const datadogFilterPresetsList = document.getElementById('datadogFilterPresets');
+  const datadogFilterSaveBtn = document.getElementById('datadogFilterSaveBtn');
+  const datadogFilterResetBtn = document.getElementById('datadogFilterResetBtn');
+  const clickhouseShowUnmappedCheckbox = document.getElementById('clickhouseShowUnmapped');
+  const rulesContainer = document.getElementById('rulesContainer');
+  const rulesErrors = document.getElementById('rulesErrors');
+  const ruleTestSiteSelect = document.getElementById('ruleTestSite');
+  const ruleTestFieldSelect = document.getElementById('ruleTestField');
+  const ruleTestTextInput = document.getElementById('ruleTestText');
+  const ruleTestResult = document.getElementById('ruleTestResult');
+  const ruleAddBtn = document.getElementById('ruleAddBtn');
+  const rulesExportBtn = document.getElementById('rulesExportBtn');
+  const rulesImportBtn = document.getElementById('rulesImportBtn');
+  const rulesImportFile = document.getElementById('rulesImportFile');
+  const rulesResetBtn = document.getElementById('rulesResetBtn');
+  const rulesSaveBtn = document.getElementById('rulesSaveBtn');
+
+  const { REMOTE_SOURCE_KEY, REMOTE_CACHE_KEY, MAPPING_FALLBACK_KEY, BADGE_PALETTE_KEY, LINK_TEMPLATES_KEY, EXTRACTION_RULES_KEY, CUSTOM_SITES_KEY, GRAFANA_HOSTS_KEY, DATADOG_REGIONS_KEY, DATADOG_FILTER_TEMPLATE_KEY, CLICKHOUSE_SHOW_UNMAPPED_KEY, UUID_PATTERN } = ext;
+  const DEFAULT_REFRESH_MINUTES = 60;
+  const CSV_HEADER = ['tenant_id', 'tenant_name', 'environment', 'parent_org', 'tier', 'color', 'notes', 'tags'];
+  const CSV_RECORD_FIELDS = {
+    tenant_name: 'name',
+    environment: 'environment',
+    parent_org: 'parentOrg',
+    tier: 'tier',
+    color: 'color',
+    notes: 'notes',
+    tags: 'tags'
+  };
 
   let tenantMappings = {};
   let bundledMappings = {};
+  let remoteMappings = {};
   let userMappings = {};
+  let remoteSource = { enabled: false, url: '', refreshMinutes: DEFAULT_REFRESH_MINUTES };
+  let pendingImport = null;
+  let editingTenantId = null;
+  let badgePalette = { ...ext.DEFAULT_BADGE_PALETTE };
+  let extractionRules = ext.DEFAULT_EXTRACTION_RULES.map(rule => ({ ...rule }));
+  let customSites = [];
   let siteSettings = {
     temporal: true,
     clickhouse: true,
-    datadog: true
+    datadog: true,
+    grafana: true,
+    sentry: true
   };
 
   // Show message
@@ -33,26 +125,62 @@
     }, 3000);
   }
 
+  // Merge all mapping layers (user overrides remote, remote overrides bundled)
+  function mergeMappings() {
+    tenantMappings = { ...bundledMappings, ...remoteMappings, ...userMappings };
+  }
+
   // Load settings from storage
   async function loadSettings() {
-    // Load bundled mappings first
-    try {
-      const url = chrome.runtime.getURL('tenant-mappings.json');
-      const response = await fetch(url);
-      bundledMappings = await response.json();
-      console.log('Loaded bundled mappings:', Object.keys(bundledMappings).length);
-    } catch (error) {
-      console.warn('Could not load bundled mappings:', error);
-      bundledMappings = {};
-    }
+    // Load bundled mappings first (migrated to records)
+    bundledMappings = await ext.loadBundledMappings();
+    console.log('Loaded bundled mappings:', Object.keys(bundledMappings).length);
+
+    // Load cached remote mappings written by the background worker
+    const remoteCache = await new Promise((resolve) => {
+      chrome.storage.local.get([REMOTE_CACHE_KEY], (result) => {
+        resolve(result[REMOTE_CACHE_KEY] || {});
+      });
+    });
+    remoteMappings = ext.normalizeMappingLayer(remoteCache.mappings);
+    renderRemoteStatus(remoteCache);
+
+    // Load user-specific mappings from the sharded storage
+    userMappings = await ext.loadUserMappings();
+    renderStorageWarning(await ext.getMappingStorageFallback());
 
-    // Load user-specific mappings from storage
-    chrome.storage.sync.get(['tenantMappings', 'siteSettings'], (result) => {
-      userMappings = result.tenantMappings || {};
-      siteSettings = result.siteSettings || { temporal: true, clickhouse: true, datadog: true };
+    // Badge colors for the legend and the mapping table
+    badgePalette = await ext.loadBadgePalette();
+    renderPalette();
+
+    // Deep link templates for the hover card
+    renderLinkTemplates(await ext.loadLinkTemplates());
+
+    // Filter template for the Datadog search bar autocomplete
+    datadogFilterTemplateInput.value = await ext.loadDatadogFilterTemplate();
+
+    // Whether ClickHouse Cloud labels unmapped UUID database names
+    clickhouseShowUnmappedCheckbox.checked = await ext.loadClickhouseShowUnmapped();
+
+    // Tenant ID extraction rules (edited locally until saved)
+    extractionRules = await ext.loadExtractionRules();
+    renderRules();
+
+    // User-defined sites
+    customSites = await ext.loadCustomSites();
+
+    // Datadog regions the adapter runs on
+    renderDatadogRegions(await ext.loadDatadogRegions());
+
+    // Self-hosted Grafana hosts
+    renderGrafanaHosts(await ext.loadGrafanaHosts());
+
+    chrome.storage.sync.get(['siteSettings', REMOTE_SOURCE_KEY], (result) => {
+      siteSettings = result.siteSettings || Object.fromEntries(ext.BUILT_IN_SITES.map(key => [key, true]));
+      remoteSource = { ...remoteSource, ...(result[REMOTE_SOURCE_KEY] || {}) };
       
-      // Merge bundled and user mappings (user takes precedence)
-      tenantMappings = { ...bundledMappings, ...userMappings };
+      // Merge bundled, remote and user mappings (user takes precedence)
+      mergeMappings();
       
       // If siteSettings wasn't in storage, save the defaults
       if (!result.siteSettings) {
@@ -65,25 +193,55 @@
       temporalEnabled.checked = siteSettings.temporal !== false;
       clickhouseEnabled.checked = siteSettings.clickhouse !== false;
       datadogEnabled.checked = siteSettings.datadog !== false;
+      grafanaEnabled.checked = siteSettings.grafana !== false;
+      sentryEnabled.checked = siteSettings.sentry !== false;
+      renderCustomSites();
+      remoteEnabled.checked = remoteSource.enabled === true;
+      remoteUrlInput.value = remoteSource.url || '';
+      remoteRefreshMinutesInput.value = remoteSource.refreshMinutes || DEFAULT_REFRESH_MINUTES;
       
       renderMappings();
       updateStats();
     });
   }
 
-  // Save mappings to storage
-  function saveMappings(callback) {
+  // Save changed user mappings (tenant ID -> record, or null to delete)
+  async function saveMappingChanges(changes, callback) {
     // Only save user mappings, not bundled ones
-    chrome.storage.sync.set({ tenantMappings: userMappings }, () => {
-      if (chrome.runtime.lastError) {
-        showMessage('Error saving mappings: ' + chrome.runtime.lastError.message, 'error');
+    try {
+      await ext.updateUserMappings(changes);
+    } catch (error) {
+      showMessage('Error saving mappings: ' + error.message, 'error');
+      return;
+    }
+
+    Object.entries(changes).forEach(([id, name]) => {
+      if (name === null) {
+        delete userMappings[id];
       } else {
-        // Update merged mappings
-        tenantMappings = { ...bundledMappings, ...userMappings };
-        updateStats();
-        if (callback) callback();
+        userMappings[id] = ext.normalizeTenantRecord(name);
       }
     });
+
+    // Update merged mappings
+    mergeMappings();
+    updateStats();
+    if (callback) callback();
+  }
+
+  // Warn when mappings could not fit in sync storage and are kept on this device only
+  function renderStorageWarning(fallback) {
+    if (fallback && fallback.active && fallback.rateLimited) {
+      storageWarningDiv.textContent = 'Chrome sync is limiting how often mappings can be saved. Some mappings are ' +
+        'saved on this device only for now and will sync to your other browsers within a few minutes.';
+      storageWarningDiv.className = 'message warning';
+    } else if (fallback && fallback.active) {
+      storageWarningDiv.textContent = 'Chrome sync storage is full. Some mappings are saved on this device only ' +
+        'and will not sync to your other browsers until space is freed.';
+      storageWarningDiv.className = 'message warning';
+    } else {
+      storageWarningDiv.className = 'message hidden';
+    }
   }
 
   // Save site settings
@@ -97,6 +255,207 @@
     });
   }
 
+  // Render a toggle per Datadog region
+  function renderDatadogRegions(enabledRegions) {
+    datadogRegionsDiv.innerHTML = ext.DATADOG_REGIONS.map(region => `
+      <div class="site-toggle">
+        <label class="toggle-label">
+          <input type="checkbox" data-region="${region.key}" ${enabledRegions.includes(region.key) ? 'checked' : ''}>
+          <span class="toggle-switch"></span>
+          <span class="toggle-text">${escapeHtml(region.label)}</span>
+        </label>
+        <span class="site-url">${escapeHtml(region.host)}</span>
+      </div>
+    `).join('');
+  }
+
+  // Save the enabled Datadog regions whenever a region toggle changes
+  function handleDatadogRegionChange() {
+    const regions = Array.from(datadogRegionsDiv.querySelectorAll('input[data-region]:checked'))
+      .map(input => input.dataset.region);
+    chrome.storage.sync.set({ [DATADOG_REGIONS_KEY]: regions }, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error saving Datadog regions: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      showMessage('Datadog regions saved');
+    });
+  }
+
+  // Show the saved Grafana hosts in the input
+  function renderGrafanaHosts(hosts) {
+    grafanaHostsInput.value = hosts.join(', ');
+  }
+
+  // Save the self-hosted Grafana hosts after Chrome grants access to them;
+  // the background worker (re)registers the Grafana content script
+  function handleGrafanaHostsSave() {
+    const entries = grafanaHostsInput.value.split(',').map(entry => entry.trim()).filter(Boolean);
+    const hosts = entries.map(ext.normalizeHostOrigin);
+    const invalid = entries.filter((entry, index) => !hosts[index]);
+    if (invalid.length > 0) {
+      showMessage(`Invalid Grafana host: ${invalid.join(', ')}`, 'error');
+      return;
+    }
+    const origins = Array.from(new Set(hosts));
+
+    const save = () => {
+      chrome.storage.sync.set({ [GRAFANA_HOSTS_KEY]: origins }, () => {
+        if (chrome.runtime.lastError) {
+          showMessage('Error saving Grafana hosts: ' + chrome.runtime.lastError.message, 'error');
+          return;
+        }
+        renderGrafanaHosts(origins);
+        showMessage(origins.length > 0
+          ? 'Grafana hosts saved. Reload their open tabs to annotate them'
+          : 'Grafana hosts cleared');
+      });
+    };
+
+    if (origins.length === 0) {
+      save();
+      return;
+    }
+
+    // Must be called directly from the click handler (user gesture)
+    chrome.permissions.request({ origins: origins.map(origin => `${origin}/*`) }, (granted) => {
+      if (!granted) {
+        showMessage(`Permission to access ${origins.join(', ')} was denied`, 'error');
+        return;
+      }
+      save();
+    });
+  }
+
+  // Render custom site toggles in Enabled Sites and the custom site list
+  async function renderCustomSites() {
+    siteTogglesDiv.querySelectorAll('.custom-site-toggle').forEach(el => el.remove());
+    customSites.forEach(site => {
+      const toggle = document.createElement('div');
+      toggle.className = 'site-toggle custom-site-toggle';
+      toggle.innerHTML = `
+        <label class="toggle-label">
+          <input type="checkbox" data-site-id="${site.id}" ${siteSettings[site.id] === false ? '' : 'checked'}>
+          <span class="toggle-switch"></span>
+          <span class="toggle-text">${escapeHtml(site.name)}</span>
+        </label>
+        <span class="site-url">${escapeHtml(site.matches.join(', '))}</span>
+      `;
+      toggle.querySelector('input').addEventListener('change', (e) => {
+        siteSettings[site.id] = e.target.checked;
+        saveSiteSettings();
+      });
+      siteTogglesDiv.appendChild(toggle);
+    });
+
+    if (customSites.length === 0) {
+      customSitesContainer.innerHTML = '';
+      return;
+    }
+
+    // Sites whose host permission was revoked are not annotated until access is granted again
+    const granted = await Promise.all(customSites.map(site => chrome.permissions.contains({ origins: site.matches })));
+
+    customSitesContainer.innerHTML = `
+      <table class="mapping-table">
+        <thead>
+          <tr>
+            <th style="width: 20%">Site</th>
+            <th style="width: 30%">Match Pattern</th>
+            <th style="width: 20%">Selector</th>
+            <th style="width: 15%">Rules</th>
+            <th style="width: 15%">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${customSites.map((site, index) => `
+            <tr>
+              <td>${escapeHtml(site.name)}</td>
+              <td class="custom-site-pattern">${escapeHtml(site.matches.join(', '))}</td>
+              <td class="tenant-id">${escapeHtml(site.selector)}</td>
+              <td>${escapeHtml(ext.EXTRACTION_SITES[site.ruleSite])} · ${escapeHtml(ext.EXTRACTION_FIELDS[site.field])}</td>
+              <td class="actions">
+                ${granted[index] ? '' : `<button class="small secondary custom-site-grant-btn" data-id="${site.id}" title="Chrome access to this site is missing">Grant Access</button>`}
+                <button class="small danger custom-site-delete-btn" data-id="${site.id}">Delete</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    customSitesContainer.querySelectorAll('.custom-site-grant-btn').forEach(btn => {
+      btn.addEventListener('click', handleCustomSiteGrant);
+    });
+    customSitesContainer.querySelectorAll('.custom-site-delete-btn').forEach(btn => {
+      btn.addEventListener('click', handleCustomSiteDelete);
+    });
+  }
+
+  // Store the custom site list; the background worker (re)registers the content scripts
+  function saveCustomSites(sites, successMessage) {
+    chrome.storage.sync.set({ [CUSTOM_SITES_KEY]: sites }, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error saving custom sites: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      customSites = sites;
+      renderCustomSites();
+      showMessage(successMessage);
+    });
+  }
+
+  // Add a custom site after Chrome grants access to its pages
+  function handleCustomSiteAdd() {
+    const { site, error } = ext.normalizeCustomSite({
+      name: customSiteNameInput.value,
+      pattern: customSitePatternInput.value,
+      selector: customSiteSelectorInput.value,
+      ruleSite: customSiteRuleSiteSelect.value,
+      field: customSiteFieldSelect.value
+    });
+    if (error) {
+      showMessage(error, 'error');
+      return;
+    }
+
+    // Must be called directly from the click handler (user gesture)
+    chrome.permissions.request({ origins: site.matches }, (granted) => {
+      if (!granted) {
+        showMessage(`Permission to access ${site.matches.join(', ')} was denied`, 'error');
+        return;
+      }
+      saveCustomSites(customSites.concat(site), `Custom site added: ${site.name}. Reload its open tabs to annotate them`);
+      customSiteNameInput.value = '';
+      customSitePatternInput.value = '';
+      customSiteSelectorInput.value = '';
+    });
+  }
+
+  // Request access again for a site whose permission was removed
+  function handleCustomSiteGrant(e) {
+    const site = customSites.find(candidate => candidate.id === e.target.dataset.id);
+    if (!site) return;
+    chrome.permissions.request({ origins: site.matches }, (granted) => {
+      if (!granted) {
+        showMessage(`Permission to access ${site.matches.join(', ')} was denied`, 'error');
+        return;
+      }
+      renderCustomSites();
+      showMessage(`Access granted for ${site.name}`);
+    });
+  }
+
+  // Remove a custom site and its toggle (the host permission is kept; revoke it in chrome://extensions)
+  function handleCustomSiteDelete(e) {
+    const site = customSites.find(candidate => candidate.id === e.target.dataset.id);
+    if (!site || !confirm(`Remove custom site "${site.name}"?`)) return;
+
+    delete siteSettings[site.id];
+    chrome.storage.sync.set({ siteSettings });
+    saveCustomSites(customSites.filter(candidate => candidate.id !== site.id), `Custom site removed: ${site.name}`);
+  }
+
   // Render mappings table
   function renderMappings() {
     const entries = Object.entries(tenantMappings);
@@ -115,33 +474,38 @@
     }
 
     // Sort by tenant name
-    entries.sort((a, b) => a[1].localeCompare(b[1]));
+    entries.sort((a, b) => a[1].name.localeCompare(b[1].name));
 
     const tableHtml = `
       <table class="mapping-table">
         <thead>
           <tr>
-            <th style="width: 45%">Tenant ID</th>
+            <th style="width: 35%">Tenant ID</th>
             <th style="width: 30%">Tenant Name</th>
+            <th style="width: 10%">Environment</th>
             <th style="width: 10%">Source</th>
             <th style="width: 15%">Actions</th>
           </tr>
         </thead>
         <tbody>
-          ${entries.map(([id, name]) => {
+          ${entries.map(([id, record]) => {
             const isBundled = bundledMappings.hasOwnProperty(id);
-            const isOverridden = isBundled && userMappings.hasOwnProperty(id);
-            const sourceLabel = isOverridden ? 'Override' : (isBundled ? 'Bundled' : 'User');
-            const sourceClass = isOverridden ? 'override' : (isBundled ? 'bundled' : 'user');
+            const isRemote = remoteMappings.hasOwnProperty(id);
+            const isOverridden = (isBundled || isRemote) && userMappings.hasOwnProperty(id);
+            const { sourceLabel, sourceClass } = getSourceInfo(isBundled, isRemote, isOverridden);
             
             return `
             <tr>
               <td class="tenant-id">${escapeHtml(id)}</td>
-              <td>${escapeHtml(name)}</td>
+              <td>
+                <span class="color-swatch" style="background: ${ext.getRecordBadgeColor(record)}" title="${record.color ? 'Tenant color' : 'Environment color'}"></span>${escapeHtml(record.name)}
+                ${renderRecordDetails(record)}
+              </td>
+              <td>${record.environment ? escapeHtml(ext.ENVIRONMENT_LABELS[record.environment]) : '<span class="muted">—</span>'}</td>
               <td><span class="source-badge ${sourceClass}">${sourceLabel}</span></td>
               <td class="actions">
-                <button class="small secondary edit-btn" data-id="${escapeHtml(id)}" data-is-bundled="${isBundled}">Edit</button>
-                ${!isBundled || isOverridden ? `<button class="small danger delete-btn" data-id="${escapeHtml(id)}">Delete</button>` : ''}
+                <button class="small secondary edit-btn" data-id="${escapeHtml(id)}" data-is-bundled="${isBundled || isRemote}">Edit</button>
+                ${!(isBundled || isRemote) || isOverridden ? `<button class="small danger delete-btn" data-id="${escapeHtml(id)}">Delete</button>` : ''}
               </td>
             </tr>
           `}).join('')}
@@ -160,21 +524,363 @@
     });
   }
 
+  // Secondary line under the tenant name: parent org, tier, tags and notes
+  function renderRecordDetails(record) {
+    const parts = [];
+    if (record.parentOrg) parts.push(`Org: ${escapeHtml(record.parentOrg)}`);
+    if (record.tier) parts.push(`Tier: ${escapeHtml(record.tier)}`);
+    if (record.tags.length > 0) parts.push(record.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(''));
+    if (record.notes) parts.push(`<span title="${escapeAttribute(record.notes)}">📝</span>`);
+    return parts.length > 0 ? `<div class="record-details">${parts.join(' · ')}</div>` : '';
+  }
+
+  // Source badge for a mapping row (user edits of bundled or remote entries are overrides)
+  function getSourceInfo(isBundled, isRemote, isOverridden) {
+    if (isOverridden) return { sourceLabel: 'Override', sourceClass: 'override' };
+    if (isRemote) return { sourceLabel: 'Remote', sourceClass: 'remote' };
+    if (isBundled) return { sourceLabel: 'Bundled', sourceClass: 'bundled' };
+    return { sourceLabel: 'User', sourceClass: 'user' };
+  }
+
+  // Render the palette editor: one color per environment with a badge preview as the legend
+  function renderPalette() {
+    paletteEditor.innerHTML = Object.keys(ext.DEFAULT_BADGE_PALETTE).map(key => {
+      const label = ext.ENVIRONMENT_LABELS[key] || 'No environment';
+      const sample = key === 'default' || key === 'prod' ? 'Customer A' : `Customer A | ${label}`;
+      return `
+        <div class="palette-row">
+          <label for="palette-${key}">${escapeHtml(label)}</label>
+          <input type="color" id="palette-${key}" data-key="${key}" value="${badgePalette[key]}" />
+          <span class="badge-preview" data-key="${key}">${escapeHtml(sample)}</span>
+        </div>
+      `;
+    }).join('');
+
+    paletteEditor.querySelectorAll('input[type="color"]').forEach(input => {
+      input.addEventListener('input', () => updatePalettePreview(input.dataset.key, input.value));
+      updatePalettePreview(input.dataset.key, input.value);
+    });
+  }
+
+  // Color a legend badge like the content scripts do
+  function updatePalettePreview(key, color) {
+    const preview = paletteEditor.querySelector(`.badge-preview[data-key="${key}"]`);
+    preview.style.background = color;
+    preview.style.color = ext.getBadgeTextColor(color);
+  }
+
+  // Save the palette; open pages recolor through setupStorageListener
+  function handlePaletteSave() {
+    const palette = {};
+    paletteEditor.querySelectorAll('input[type="color"]').forEach(input => {
+      palette[input.dataset.key] = input.value;
+    });
+    badgePalette = ext.normalizeBadgePalette(palette);
+
+    chrome.storage.sync.set({ [BADGE_PALETTE_KEY]: badgePalette }, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error saving colors: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      showMessage('Badge colors saved');
+    });
+  }
+
+  // Restore the default palette
+  function handlePaletteReset() {
+    chrome.storage.sync.remove(BADGE_PALETTE_KEY, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error resetting colors: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      badgePalette = { ...ext.DEFAULT_BADGE_PALETTE };
+      renderPalette();
+      showMessage('Badge colors reset to defaults');
+    });
+  }
+
+  // Render one URL template input per hover card link
+  function renderLinkTemplates(templates) {
+    linkTemplatesDiv.innerHTML = ext.TENANT_LINKS.map(link => `
+      <div class="form-group">
+        <label for="link-${link.key}">${escapeHtml(link.label)}</label>
+        <input type="text" id="link-${link.key}" data-key="${link.key}" value="${escapeAttribute(templates[link.key])}" placeholder="https://..." />
+      </div>
+    `).join('');
+  }
+
+  // Save link templates; only https URLs are accepted
+  function handleLinksSave() {
+    const templates = {};
+    const invalid = [];
+    linkTemplatesDiv.querySelectorAll('input').forEach(input => {
+      const value = input.value.trim();
+      if (value && !/^https:\/\//i.test(value)) {
+        invalid.push(ext.TENANT_LINKS.find(link => link.key === input.dataset.key).label);
+      }
+      templates[input.dataset.key] = value;
+    });
+
+    if (invalid.length > 0) {
+      showMessage(`Link templates must start with https:// (${invalid.join(', ')})`, 'error');
+      return;
+    }
+
+    chrome.storage.sync.set({ [LINK_TEMPLATES_KEY]: templates }, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error saving links: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      showMessage('Deep links saved');
+    });
+  }
+
+  // Restore the default link templates
+  function handleLinksReset() {
+    chrome.storage.sync.remove(LINK_TEMPLATES_KEY, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error resetting links: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      renderLinkTemplates(ext.DEFAULT_LINK_TEMPLATES);
+      showMessage('Deep links reset to defaults');
+    });
+  }
+
+  // Save the Datadog autocomplete filter template; it must contain {tenantId}
+  function handleDatadogFilterSave() {
+    const template = datadogFilterTemplateInput.value.trim();
+    if (!template.includes('{tenantId}')) {
+      showMessage('The Datadog filter must contain {tenantId}', 'error');
+      return;
+    }
+
+    chrome.storage.sync.set({ [DATADOG_FILTER_TEMPLATE_KEY]: template }, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error saving Datadog filter: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      showMessage('Datadog filter saved');
+    });
+  }
+
+  // Restore the default Datadog autocomplete filter template
+  function handleDatadogFilterReset() {
+    chrome.storage.sync.remove(DATADOG_FILTER_TEMPLATE_KEY, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error resetting Datadog filter: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      datadogFilterTemplateInput.value = ext.DEFAULT_DATADOG_FILTER_TEMPLATE;
+      showMessage('Datadog filter reset to default');
+    });
+  }
+
+  // Save whether ClickHouse Cloud labels unmapped UUID database names
+  function handleClickhouseShowUnmappedChange() {
+    chrome.storage.sync.set({ [CLICKHOUSE_SHOW_UNMAPPED_KEY]: clickhouseShowUnmappedCheckbox.checked }, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error saving ClickHouse setting: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      showMessage('ClickHouse setting saved');
+    });
+  }
+
+  // <option> list for a select, marking the current value
+  function renderOptions(labels, selected) {
+    return Object.entries(labels).map(([value, label]) =>
+      `<option value="${value}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+  }
+
+  // Render the editable rules table
+  function renderRules() {
+    if (extractionRules.length === 0) {
+      rulesContainer.innerHTML = '<div class="empty-state">No rules: tenant IDs will not be detected on any site.</div>';
+    } else {
+      rulesContainer.innerHTML = `
+        <table class="mapping-table rules-table">
+          <thead>
+            <tr>
+              <th style="width: 5%">On</th>
+              <th style="width: 15%">Site</th>
+              <th style="width: 15%">Field</th>
+              <th style="width: 35%">Pattern</th>
+              <th style="width: 18%">Description</th>
+              <th style="width: 12%">Order</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${extractionRules.map((rule, index) => `
+              <tr class="${rule.enabled === false ? 'disabled' : ''}">
+                <td><input type="checkbox" data-index="${index}" data-prop="enabled" ${rule.enabled === false ? '' : 'checked'} /></td>
+                <td><select data-index="${index}" data-prop="site">${renderOptions(ext.EXTRACTION_SITES, rule.site || '*')}</select></td>
+                <td><select data-index="${index}" data-prop="field">${renderOptions(ext.EXTRACTION_FIELDS, rule.field || '*')}</select></td>
+                <td><input type="text" class="rule-pattern" data-index="${index}" data-prop="pattern" value="${escapeAttribute(rule.pattern || '')}" /></td>
+                <td><input type="text" data-index="${index}" data-prop="description" value="${escapeAttribute(rule.description || '')}" /></td>
+                <td class="actions">
+                  <button class="small secondary rule-move-btn" data-index="${index}" data-offset="-1" ${index === 0 ? 'disabled' : ''}>↑</button>
+                  <button class="small secondary rule-move-btn" data-index="${index}" data-offset="1" ${index === extractionRules.length - 1 ? 'disabled' : ''}>↓</button>
+                  <button class="small danger rule-delete-btn" data-index="${index}">✕</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+
+    // Attach event listeners
+    rulesContainer.querySelectorAll('[data-prop]').forEach(input => {
+      input.addEventListener(input.type === 'text' ? 'input' : 'change', handleRuleInput);
+    });
+    rulesContainer.querySelectorAll('.rule-move-btn').forEach(btn => {
+      btn.addEventListener('click', handleRuleMove);
+    });
+    rulesContainer.querySelectorAll('.rule-delete-btn').forEach(btn => {
+      btn.addEventListener('click', handleRuleDelete);
+    });
+
+    renderRuleErrors(ext.normalizeExtractionRules(extractionRules).errors);
+    updateRuleTest();
+  }
+
+  // Show validation problems with their rule number
+  function renderRuleErrors(errors) {
+    rulesErrors.innerHTML = errors
+      .map(error => `<li>${error.index === null ? '' : `Rule ${error.index + 1}: `}${escapeHtml(error.message)}</li>`)
+      .join('');
+  }
+
+  // Run the tester against the rules being edited
+  function updateRuleTest() {
+    const tenantId = ext.extractTenantId(ruleTestSiteSelect.value, ruleTestFieldSelect.value, ruleTestTextInput.value, extractionRules);
+    ruleTestResult.textContent = tenantId || 'No match';
+    ruleTestResult.className = `rule-test-result${tenantId ? '' : ' no-match'}`;
+  }
+
+  // Keep the edited rules in step with the table inputs
+  function handleRuleInput(e) {
+    const input = e.target;
+    const rule = extractionRules[Number(input.dataset.index)];
+    rule[input.dataset.prop] = input.type === 'checkbox' ? input.checked : input.value;
+    if (input.type === 'checkbox') {
+      input.closest('tr').classList.toggle('disabled', !input.checked);
+    }
+    renderRuleErrors(ext.normalizeExtractionRules(extractionRules).errors);
+    updateRuleTest();
+  }
+
+  // Move a rule up or down (order decides which rule wins)
+  function handleRuleMove(e) {
+    const index = Number(e.target.dataset.index);
+    const target = index + Number(e.target.dataset.offset);
+    if (target < 0 || target >= extractionRules.length) return;
+    [extractionRules[index], extractionRules[target]] = [extractionRules[target], extractionRules[index]];
+    renderRules();
+  }
+
+  function handleRuleDelete(e) {
+    extractionRules.splice(Number(e.target.dataset.index), 1);
+    renderRules();
+  }
+
+  function handleRuleAdd() {
+    extractionRules.push({ site: '*', field: '*', pattern: '', flags: 'i', enabled: true, description: '' });
+    renderRules();
+    const inputs = rulesContainer.querySelectorAll('.rule-pattern');
+    inputs[inputs.length - 1].focus();
+  }
+
+  // Save the rules; open pages re-extract through setupStorageListener
+  function handleRulesSave() {
+    const { rules, errors } = ext.normalizeExtractionRules(extractionRules);
+    if (errors.length > 0) {
+      renderRuleErrors(errors);
+      showMessage('Fix the highlighted rules before saving', 'error');
+      return;
+    }
+
+    chrome.storage.sync.set({ [EXTRACTION_RULES_KEY]: rules }, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error saving rules: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      extractionRules = rules;
+      renderRules();
+      showMessage('Extraction rules saved');
+    });
+  }
+
+  // Restore the default rules
+  function handleRulesReset() {
+    if (!confirm('Replace all extraction rules with the defaults?')) return;
+    chrome.storage.sync.remove(EXTRACTION_RULES_KEY, () => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error resetting rules: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      extractionRules = ext.DEFAULT_EXTRACTION_RULES.map(rule => ({ ...rule }));
+      renderRules();
+      showMessage('Extraction rules reset to defaults');
+    });
+  }
+
+  function handleRulesExport() {
+    downloadFile(JSON.stringify(extractionRules, null, 4) + '\n', 'application/json', 'tenant-extraction-rules.json');
+    showMessage(`Exported ${extractionRules.length} rules`);
+  }
+
+  // Load rules from a JSON file into the editor; nothing is stored until Save Rules
+  function handleRulesImportFile() {
+    const file = rulesImportFile.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      rulesImportFile.value = '';
+      let data;
+      try {
+        data = JSON.parse(String(reader.result));
+      } catch (error) {
+        showMessage(`Invalid JSON: ${error.message}`, 'error');
+        return;
+      }
+
+      const { rules, errors } = ext.normalizeExtractionRules(data);
+      if (errors.length > 0) {
+        renderRuleErrors(errors);
+        showMessage('Import file has invalid rules; nothing was imported', 'error');
+        return;
+      }
+      extractionRules = rules;
+      renderRules();
+      showMessage(`Imported ${rules.length} rules; click Save Rules to apply them`);
+    };
+    reader.onerror = () => showMessage('Could not read rules file', 'error');
+    reader.readAsText(file);
+  }
+
   // Update statistics
   function updateStats() {
     const totalCount = Object.keys(tenantMappings).length;
     
-    // Calculate how many are pure bundled, pure user, and overrides
+    // Calculate how many are pure bundled, pure remote, pure user, and overrides
     let pureBundledCount = 0;
+    let pureRemoteCount = 0;
     let pureUserCount = 0;
     let overrideCount = 0;
     
     Object.keys(tenantMappings).forEach(id => {
       const isBundled = bundledMappings.hasOwnProperty(id);
+      const isRemote = remoteMappings.hasOwnProperty(id);
       const isUser = userMappings.hasOwnProperty(id);
       
-      if (isBundled && isUser) {
+      if ((isBundled || isRemote) && isUser) {
         overrideCount++;
+      } else if (isRemote) {
+        pureRemoteCount++;
       } else if (isBundled) {
         pureBundledCount++;
       } else if (isUser) {
@@ -183,16 +889,17 @@
     });
     
     // Display format based on what exists
-    if (pureBundledCount === 0 && overrideCount === 0) {
+    if (pureBundledCount === 0 && pureRemoteCount === 0 && overrideCount === 0) {
       // Only user mappings
       totalMappingsSpan.textContent = totalCount;
-    } else if (pureUserCount === 0 && overrideCount === 0) {
+    } else if (pureUserCount === 0 && pureRemoteCount === 0 && overrideCount === 0) {
       // Only bundled mappings
       totalMappingsSpan.textContent = `${totalCount} (bundled)`;
     } else {
       // Mixed: show breakdown
       const parts = [];
       if (pureBundledCount > 0) parts.push(`${pureBundledCount} bundled`);
+      if (pureRemoteCount > 0) parts.push(`${pureRemoteCount} remote`);
       if (pureUserCount > 0) parts.push(`${pureUserCount} user`);
       if (overrideCount > 0) parts.push(`${overrideCount} override${overrideCount > 1 ? 's' : ''}`);
       totalMappingsSpan.textContent = `${totalCount} (${parts.join(' + ')})`;
@@ -217,22 +924,27 @@
     }
 
     // Validate tenant ID format (basic UUID check)
-    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    if (!uuidPattern.test(tenantId)) {
+    if (!UUID_PATTERN.test(tenantId)) {
       showMessage('Tenant ID should be a valid UUID format', 'error');
       newTenantIdInput.focus();
       return;
     }
 
-    // Add or update mapping in user mappings
-    const isBundled = bundledMappings.hasOwnProperty(tenantId);
-    userMappings[tenantId] = tenantName;
+    // Add or update mapping in user mappings, keeping other fields of an existing record
+    const isBundled = bundledMappings.hasOwnProperty(tenantId) || remoteMappings.hasOwnProperty(tenantId);
+    const existing = tenantMappings[tenantId] || {};
+    const record = {
+      ...existing,
+      name: tenantName,
+      environment: newTenantEnvironmentSelect.value || existing.environment || null
+    };
     
-    saveMappings(() => {
+    saveMappingChanges({ [tenantId]: record }, () => {
       renderMappings();
       // Clear inputs
       newTenantIdInput.value = '';
       newTenantNameInput.value = '';
+      newTenantEnvironmentSelect.value = '';
       newTenantIdInput.focus();
 
       if (isBundled) {
@@ -243,43 +955,74 @@
     });
   }
 
-  // Edit mapping
+  // Edit mapping - open the record editor dialog
   function handleEdit(e) {
     const tenantId = e.target.dataset.id;
-    const currentName = tenantMappings[tenantId];
+    const record = tenantMappings[tenantId];
     const isBundled = e.target.dataset.isBundled === 'true';
 
-    const message = isBundled 
-      ? `Enter new tenant name (will override bundled value):`
-      : `Enter new tenant name:`;
-    
-    const newName = prompt(message, currentName);
-    if (newName !== null && newName.trim() !== '') {
-      userMappings[tenantId] = newName.trim();
-      saveMappings(() => {
-        renderMappings();
-        showMessage('Mapping updated');
-      });
+    editingTenantId = tenantId;
+    editTenantIdDiv.textContent = isBundled && !userMappings.hasOwnProperty(tenantId)
+      ? `${tenantId} (saving creates an override)`
+      : tenantId;
+    editNameInput.value = record.name;
+    editEnvironmentSelect.value = record.environment || '';
+    editParentOrgInput.value = record.parentOrg;
+    editTierInput.value = record.tier;
+    editUseColorCheckbox.checked = record.color !== '';
+    editColorInput.value = record.color || '#10b981';
+    editColorInput.disabled = record.color === '';
+    editTagsInput.value = record.tags.join(', ');
+    editNotesInput.value = record.notes;
+    editDialog.showModal();
+    editNameInput.focus();
+  }
+
+  // Save the record editor dialog
+  function handleEditSave(e) {
+    e.preventDefault();
+    if (!editingTenantId) return;
+
+    const name = editNameInput.value.trim();
+    if (!name) {
+      editNameInput.focus();
+      return;
     }
+
+    const record = {
+      name,
+      environment: editEnvironmentSelect.value || null,
+      parentOrg: editParentOrgInput.value,
+      tier: editTierInput.value,
+      color: editUseColorCheckbox.checked ? editColorInput.value : '',
+      tags: editTagsInput.value.split(','),
+      notes: editNotesInput.value
+    };
+
+    saveMappingChanges({ [editingTenantId]: record }, () => {
+      editDialog.close();
+      editingTenantId = null;
+      renderMappings();
+      showMessage('Mapping updated');
+    });
   }
 
   // Delete mapping
   function handleDelete(e) {
     const tenantId = e.target.dataset.id;
-    const tenantName = tenantMappings[tenantId];
-    const isBundled = bundledMappings.hasOwnProperty(tenantId);
+    const tenantName = ext.formatTenantLabel(tenantMappings[tenantId]);
+    const isBundled = bundledMappings.hasOwnProperty(tenantId) || remoteMappings.hasOwnProperty(tenantId);
     const isOverride = isBundled && userMappings.hasOwnProperty(tenantId);
 
     let confirmMessage;
     if (isOverride) {
-      confirmMessage = `Remove your override for "${tenantName}"? The bundled mapping will be used instead.`;
+      confirmMessage = `Remove your override for "${tenantName}"? The bundled or remote mapping will be used instead.`;
     } else {
       confirmMessage = `Delete mapping for "${tenantName}"?`;
     }
 
     if (confirm(confirmMessage)) {
-      delete userMappings[tenantId];
-      saveMappings(() => {
+      saveMappingChanges({ [tenantId]: null }, () => {
         renderMappings();
         showMessage(isOverride ? 'Override removed' : 'Mapping deleted');
       });
@@ -295,14 +1038,418 @@
 
     const count = Object.keys(userMappings).length;
     if (confirm(`Delete all ${count} user mappings? This cannot be undone. Bundled mappings will remain.`)) {
-      userMappings = {};
-      saveMappings(() => {
+      const changes = {};
+      Object.keys(userMappings).forEach(id => {
+        changes[id] = null;
+      });
+      saveMappingChanges(changes, () => {
         renderMappings();
         showMessage('All user mappings cleared');
       });
     }
   }
 
+  // Mappings for an export scope, sorted by tenant name
+  function getExportMappings(scope) {
+    const sources = {
+      user: userMappings,
+      bundled: bundledMappings,
+      remote: remoteMappings,
+      merged: tenantMappings
+    };
+    const entries = Object.entries(sources[scope] || {});
+    entries.sort((a, b) => a[1].name.localeCompare(b[1].name));
+    return entries;
+  }
+
+  // Records with only a name export as a plain string, like tenant-mappings.json
+  function toExportValue(record) {
+    const compact = ext.compactTenantRecord(record);
+    const fields = Object.keys(compact).filter(field => field !== 'version');
+    return fields.length === 1 ? ext.formatTenantLabel(record) : compact;
+  }
+
+  // Quote a CSV field when it contains a delimiter, quote or newline
+  function toCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Download mappings as JSON (same shape as tenant-mappings.json) or CSV
+  function handleExport() {
+    const scope = exportScopeSelect.value;
+    const format = exportFormatSelect.value;
+    const entries = getExportMappings(scope);
+
+    if (entries.length === 0) {
+      showMessage(`No ${scope} mappings to export`, 'error');
+      return;
+    }
+
+    let content;
+    let type;
+    if (format === 'csv') {
+      const lines = [CSV_HEADER.join(',')]
+        .concat(entries.map(([id, record]) => [
+          id,
+          record.name,
+          record.environment || '',
+          record.parentOrg,
+          record.tier,
+          record.color,
+          record.notes,
+          record.tags.join(';')
+        ].map(toCsvField).join(',')));
+      content = lines.join('\n') + '\n';
+      type = 'text/csv';
+    } else {
+      const data = {};
+      entries.forEach(([id, record]) => {
+        data[id] = toExportValue(record);
+      });
+      content = JSON.stringify(data, null, 4) + '\n';
+      type = 'application/json';
+    }
+
+    downloadFile(content, type, `tenant-mappings-${scope}.${format}`);
+    showMessage(`Exported ${entries.length} ${scope} mappings`);
+  }
+
+  // Save text content as a file through a temporary link
+  function downloadFile(content, type, fileName) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Parse CSV text into records of {line, fields}; quoted fields may span lines
+  function parseCsv(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+      fields.push(field);
+      if (fields.length > 1 || fields[0].trim() !== '') {
+        records.push({ line: recordLine, fields });
+      }
+      fields = [];
+      field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          if (ch === '\n') line++;
+          field += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        fields.push(field);
+        field = '';
+      } else if (ch === '\n') {
+        endRecord();
+        line++;
+        recordLine = line;
+      } else if (ch !== '\r') {
+        field += ch;
+      }
+    }
+    endRecord();
+    return records;
+  }
+
+  // Find the top-level keys of a JSON object with the line each appears on.
+  // JSON.parse silently keeps the last of duplicate keys, so scan the raw text.
+  function scanJsonKeys(text) {
+    const keys = [];
+    let depth = 0;
+    let line = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '\n') {
+        line++;
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        depth--;
+      } else if (ch === '"') {
+        const start = i;
+        for (i++; i < text.length && text[i] !== '"'; i++) {
+          if (text[i] === '\\') i++;
+        }
+        let next = i + 1;
+        while (next < text.length && /\s/.test(text[next]) && text[next] !== '\n') next++;
+        if (depth === 1 && text[next] === ':') {
+          keys.push({ key: JSON.parse(text.slice(start, i + 1)), line });
+        }
+      }
+    }
+    return keys;
+  }
+
+  // Turn raw rows of {line, id, value} into records, reporting problems per line.
+  // Duplicate IDs are ambiguous, so every occurrence is reported and skipped.
+  function collectImportRows(rows, errors) {
+    const firstLine = {};
+    const duplicates = new Set();
+    rows.forEach(row => {
+      if (firstLine[row.id] !== undefined) {
+        duplicates.add(row.id);
+        errors.push({ line: row.line, message: `Duplicate tenant ID ${row.id} (first seen on line ${firstLine[row.id]})` });
+      } else {
+        firstLine[row.id] = row.line;
+      }
+    });
+
+    const entries = {};
+    rows.forEach(row => {
+      if (duplicates.has(row.id) || firstLine[row.id] !== row.line) return;
+      if (!UUID_PATTERN.test(row.id)) {
+        errors.push({ line: row.line, message: `"${row.id}" is not a valid UUID` });
+        return;
+      }
+      const record = ext.normalizeTenantRecord(row.value);
+      if (!record) {
+        errors.push({ line: row.line, message: `Missing tenant name for ${row.id}` });
+        return;
+      }
+      entries[row.id] = record;
+    });
+    errors.sort((a, b) => a.line - b.line);
+    return entries;
+  }
+
+  // Parse an import file into {entries, errors}
+  function parseImport(text, fileName) {
+    const errors = [];
+    const isJson = /\.json$/i.test(fileName) || /^\s*\{/.test(text);
+
+    if (isJson) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        return { entries: {}, errors: [{ line: null, message: `Invalid JSON: ${error.message}` }] };
+      }
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { entries: {}, errors: [{ line: null, message: 'JSON must be an object of tenant ID to name or record' }] };
+      }
+      const rows = scanJsonKeys(text).map(({ key, line }) => ({ line, id: key.trim(), value: data[key] }));
+      return { entries: collectImportRows(rows, errors), errors };
+    }
+
+    const records = parseCsv(text);
+    // Use the header row for column order when present (first cell is not a UUID but looks like a column name)
+    let columns = CSV_HEADER;
+    if (records.length > 0 && /tenant|id/i.test(records[0].fields[0]) && !UUID_PATTERN.test(records[0].fields[0].trim())) {
+      columns = records.shift().fields.map(field => field.trim().toLowerCase());
+    }
+    const rows = records.map(({ line, fields }) => {
+      const value = {};
+      columns.forEach((column, index) => {
+        const field = CSV_RECORD_FIELDS[column];
+        if (field && fields[index] !== undefined) value[field] = fields[index];
+      });
+      if (typeof value.tags === 'string') value.tags = value.tags.split(';');
+      return { line, id: (fields[0] || '').trim(), value };
+    });
+    return { entries: collectImportRows(rows, errors), errors };
+  }
+
+  // Compare two records field by field
+  function sameRecord(a, b) {
+    return JSON.stringify(ext.compactTenantRecord(a)) === JSON.stringify(ext.compactTenantRecord(b));
+  }
+
+  // Classify imported records against current mappings
+  function diffImport(entries) {
+    const diff = [];
+    Object.entries(entries).forEach(([id, record]) => {
+      const name = ext.formatTenantLabel(record);
+      if (userMappings.hasOwnProperty(id)) {
+        if (!sameRecord(userMappings[id], record)) {
+          diff.push({ type: 'change', id, record, name, oldName: ext.formatTenantLabel(userMappings[id]) });
+        }
+        return;
+      }
+      const baseRecord = remoteMappings.hasOwnProperty(id) ? remoteMappings[id] : bundledMappings[id];
+      if (baseRecord === undefined) {
+        diff.push({ type: 'add', id, record, name });
+      } else if (!sameRecord(baseRecord, record)) {
+        diff.push({ type: 'conflict', id, record, name, oldName: ext.formatTenantLabel(baseRecord) });
+      }
+    });
+    return diff;
+  }
+
+  // Show what an import would change before anything is written
+  function renderImportPreview(diff, errors, unchangedCount) {
+    const counts = { add: 0, change: 0, conflict: 0 };
+    diff.forEach(item => counts[item.type]++);
+
+    importSummary.textContent = `${counts.add} new, ${counts.change} changed, ` +
+      `${counts.conflict} conflicting with bundled/remote, ${unchangedCount} unchanged, ${errors.length} error${errors.length === 1 ? '' : 's'}`;
+
+    importErrors.innerHTML = errors.map(error => `
+      <li>${error.line ? `Line ${error.line}: ` : ''}${escapeHtml(error.message)}</li>
+    `).join('');
+
+    const labels = { add: 'Add', change: 'Change', conflict: 'Conflict' };
+    importDiff.innerHTML = diff.length === 0 ? '' : `
+      <table class="mapping-table">
+        <thead>
+          <tr>
+            <th style="width: 15%">Type</th>
+            <th style="width: 45%">Tenant ID</th>
+            <th style="width: 40%">Tenant Name</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${diff.map(item => `
+            <tr>
+              <td><span class="source-badge ${item.type}">${labels[item.type]}</span></td>
+              <td class="tenant-id">${escapeHtml(item.id)}</td>
+              <td>${item.oldName !== undefined && item.oldName !== item.name ? `<span class="old-name">${escapeHtml(item.oldName)}</span>` : ''}${escapeHtml(item.name)}${item.oldName === item.name ? ' <span class="muted">(details changed)</span>' : ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    importApplyBtn.disabled = diff.length === 0;
+    importPreview.classList.remove('hidden');
+  }
+
+  // Read the chosen file and preview it
+  function handleImportFile() {
+    const file = importFileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { entries, errors } = parseImport(String(reader.result), file.name);
+      const diff = diffImport(entries);
+      pendingImport = diff;
+      renderImportPreview(diff, errors, Object.keys(entries).length - diff.length);
+    };
+    reader.onerror = () => showMessage('Could not read import file', 'error');
+    reader.readAsText(file);
+  }
+
+  // Reset the import UI
+  function resetImport() {
+    pendingImport = null;
+    importFileInput.value = '';
+    importPreview.classList.add('hidden');
+  }
+
+  // Write previewed adds, changes and conflicts as user mappings
+  function handleImportApply() {
+    if (!pendingImport || pendingImport.length === 0) return;
+
+    const count = pendingImport.length;
+    const changes = {};
+    pendingImport.forEach(({ id, record }) => {
+      changes[id] = record;
+    });
+    saveMappingChanges(changes, () => {
+      renderMappings();
+      resetImport();
+      showMessage(`Imported ${count} mapping${count === 1 ? '' : 's'}`);
+    });
+  }
+
+  // Show last fetch time, status and entry count of the remote source
+  function renderRemoteStatus(cache) {
+    remoteLastFetch.textContent = cache.fetchedAt ? new Date(cache.fetchedAt).toLocaleString() : 'Never';
+    remoteCount.textContent = cache.count || 0;
+
+    const statusText = {
+      ok: 'OK',
+      'not-modified': 'OK (not modified)',
+      error: `Error: ${cache.error || 'unknown'}`,
+      disabled: 'Disabled'
+    };
+    remoteStatus.textContent = statusText[cache.status] || 'Disabled';
+    remoteStatus.className = cache.status === 'error' ? 'status-value error' : 'status-value';
+  }
+
+  // Save remote source settings, requesting host permission for the endpoint first
+  function handleRemoteSave() {
+    const url = remoteUrlInput.value.trim();
+    const enabled = remoteEnabled.checked;
+    const refreshMinutes = Math.max(5, parseInt(remoteRefreshMinutesInput.value, 10) || DEFAULT_REFRESH_MINUTES);
+
+    let origin = null;
+    if (url) {
+      try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'https:') throw new Error('not https');
+        origin = parsed.origin;
+      } catch (error) {
+        showMessage('Remote source must be a valid https:// URL', 'error');
+        remoteUrlInput.focus();
+        return;
+      }
+    } else if (enabled) {
+      showMessage('Please enter a remote source URL', 'error');
+      remoteUrlInput.focus();
+      return;
+    }
+
+    const save = () => {
+      remoteSource = { enabled, url, refreshMinutes };
+      chrome.storage.sync.set({ [REMOTE_SOURCE_KEY]: remoteSource }, () => {
+        if (chrome.runtime.lastError) {
+          showMessage('Error saving remote source: ' + chrome.runtime.lastError.message, 'error');
+        } else {
+          showMessage(enabled ? 'Remote source saved, fetching...' : 'Remote source disabled');
+        }
+      });
+    };
+
+    if (!enabled || !origin) {
+      save();
+      return;
+    }
+
+    // Must be called directly from the click handler (user gesture)
+    chrome.permissions.request({ origins: [`${origin}/*`] }, (granted) => {
+      if (!granted) {
+        showMessage(`Permission to access ${origin} was denied`, 'error');
+        return;
+      }
+      save();
+    });
+  }
+
+  // Ask the background worker to fetch the remote source right away
+  function handleRemoteRefresh() {
+    remoteStatus.textContent = 'Refreshing...';
+    chrome.runtime.sendMessage({ type: 'refreshRemoteMappings' }, (cache) => {
+      if (chrome.runtime.lastError) {
+        showMessage('Error refreshing: ' + chrome.runtime.lastError.message, 'error');
+        return;
+      }
+      if (cache) renderRemoteStatus(cache);
+    });
+  }
+
   // Escape HTML to prevent XSS
   function escapeHtml(text) {
     const div = document.createElement('div');
@@ -310,6 +1457,11 @@
     return div.innerHTML;
   }
 
+  // Escape text for a double-quoted attribute value
+  function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
   // Event listeners
   addBtn.addEventListener('click', handleAdd);
   newTenantNameInput.addEventListener('keypress', (e) => {
@@ -336,6 +1488,130 @@
     saveSiteSettings();
   });
 
+  grafanaEnabled.addEventListener('change', (e) => {
+    siteSettings.grafana = e.target.checked;
+    saveSiteSettings();
+  });
+
+  sentryEnabled.addEventListener('change', (e) => {
+    siteSettings.sentry = e.target.checked;
+    saveSiteSettings();
+  });
+
+  // Datadog region listeners
+  datadogRegionsDiv.addEventListener('change', handleDatadogRegionChange);
+
+  // Self-hosted Grafana listeners
+  grafanaHostsSaveBtn.addEventListener('click', handleGrafanaHostsSave);
+  grafanaHostsInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') handleGrafanaHostsSave();
+  });
+
+  // Custom site listeners
+  customSiteRuleSiteSelect.innerHTML = renderOptions({ ...ext.EXTRACTION_SITES, '*': 'Any-site rules only' }, 'datadog');
+  customSiteFieldSelect.innerHTML = renderOptions(ext.EXTRACTION_FIELDS, 'url');
+  customSiteAddBtn.addEventListener('click', handleCustomSiteAdd);
+
+  // Record editor listeners
+  editForm.addEventListener('submit', handleEditSave);
+  editCancelBtn.addEventListener('click', () => {
+    editDialog.close();
+    editingTenantId = null;
+  });
+  editUseColorCheckbox.addEventListener('change', () => {
+    editColorInput.disabled = !editUseColorCheckbox.checked;
+  });
+
+  // Palette listeners
+  paletteSaveBtn.addEventListener('click', handlePaletteSave);
+  paletteResetBtn.addEventListener('click', handlePaletteReset);
+
+  // Deep link listeners
+  linksSaveBtn.addEventListener('click', handleLinksSave);
+  linksResetBtn.addEventListener('click', handleLinksReset);
+
+  // Datadog search filter listeners
+  datadogFilterPresetsList.innerHTML = ext.DATADOG_FILTER_PRESETS
+    .map(preset => `<option value="${escapeAttribute(preset)}"></option>`)
+    .join('');
+  datadogFilterSaveBtn.addEventListener('click', handleDatadogFilterSave);
+  datadogFilterResetBtn.addEventListener('click', handleDatadogFilterReset);
+
+  // ClickHouse setting listener
+  clickhouseShowUnmappedCheckbox.addEventListener('change', handleClickhouseShowUnmappedChange);
+
+  // Extraction rule listeners
+  // The tester checks a concrete site and field, so leave out the "Any" choices
+  const withoutAny = (labels) => Object.fromEntries(Object.entries(labels).filter(([key]) => key !== '*'));
+  ruleTestSiteSelect.innerHTML = renderOptions(withoutAny(ext.EXTRACTION_SITES), 'temporal');
+  ruleTestFieldSelect.innerHTML = renderOptions(withoutAny(ext.EXTRACTION_FIELDS), 'workflowId');
+  ruleTestSiteSelect.addEventListener('change', updateRuleTest);
+  ruleTestFieldSelect.addEventListener('change', updateRuleTest);
+  ruleTestTextInput.addEventListener('input', updateRuleTest);
+  ruleAddBtn.addEventListener('click', handleRuleAdd);
+  rulesSaveBtn.addEventListener('click', handleRulesSave);
+  rulesResetBtn.addEventListener('click', handleRulesReset);
+  rulesExportBtn.addEventListener('click', handleRulesExport);
+  rulesImportBtn.addEventListener('click', () => rulesImportFile.click());
+  rulesImportFile.addEventListener('change', handleRulesImportFile);
+
+  // Import/export listeners
+  exportBtn.addEventListener('click', handleExport);
+  importFileInput.addEventListener('change', handleImportFile);
+  importCancelBtn.addEventListener('click', resetImport);
+  importApplyBtn.addEventListener('click', handleImportApply);
+
+  // Remote source listeners
+  remoteSaveBtn.addEventListener('click', handleRemoteSave);
+  remoteRefreshBtn.addEventListener('click', handleRemoteRefresh);
+  remoteEnabled.addEventListener('change', handleRemoteSave);
+
+  // Pick up background refreshes and edits from other tabs/devices while the page is open
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (ext.isUserMappingStorageChange(changes, area)) {
+      userMappings = await ext.loadUserMappings();
+      mergeMappings();
+      renderMappings();
+      updateStats();
+    }
+
+    if (area === 'sync' && changes[CUSTOM_SITES_KEY]) {
+      customSites = await ext.loadCustomSites();
+      renderCustomSites();
+    }
+
+    if (area === 'sync' && changes[DATADOG_REGIONS_KEY]) {
+      renderDatadogRegions(await ext.loadDatadogRegions());
+    }
+
+    if (area === 'sync' && changes[GRAFANA_HOSTS_KEY]) {
+      renderGrafanaHosts(await ext.loadGrafanaHosts());
+    }
+
+    if (area === 'sync' && changes[CLICKHOUSE_SHOW_UNMAPPED_KEY]) {
+      clickhouseShowUnmappedCheckbox.checked = await ext.loadClickhouseShowUnmapped();
+    }
+
+    if (area === 'sync' && changes[BADGE_PALETTE_KEY]) {
+      badgePalette = await ext.loadBadgePalette();
+      renderPalette();
+      renderMappings();
+    }
+
+    if (area === 'local' && changes[MAPPING_FALLBACK_KEY]) {
+      renderStorageWarning(changes[MAPPING_FALLBACK_KEY].newValue);
+    }
+
+    if (area === 'local' && changes[REMOTE_CACHE_KEY]) {
+      const cache = changes[REMOTE_CACHE_KEY].newValue || {};
+      remoteMappings = ext.normalizeMappingLayer(cache.mappings);
+      mergeMappings();
+      renderRemoteStatus(cache);
+      renderMappings();
+      updateStats();
+    }
+  });
+
   // Initialize
   loadSettings();
 })();
@@ -0,0 +1,174 @@
+// Tenant Name Mapper Extension - Toolbar Popup Script
+// Lists the tenants the active tab's content script detected
+
+(function() {
+  'use strict';
+
+  const ext = window.TenantNameExtension;
+
+  // DOM elements
+  const tenantsContainer = document.getElementById('tenantsContainer');
+  const siteNameSpan = document.getElementById('siteName');
+  const messageDiv = document.getElementById('message');
+  const openOptionsBtn = document.getElementById('openOptionsBtn');
+
+  const SITE_NAMES = {
+    temporal: 'Temporal Cloud',
+    clickhouse: 'ClickHouse Cloud',
+    datadog: 'Datadog',
+    grafana: 'Grafana',
+    sentry: 'Sentry'
+  };
+
+  let tenants = [];
+
+  // Show message
+  function showMessage(text, type = 'success') {
+    messageDiv.textContent = text;
+    messageDiv.className = `message ${type}`;
+    setTimeout(() => {
+      messageDiv.className = 'message hidden';
+    }, 2000);
+  }
+
+  // Render an empty state with the given text
+  function renderEmpty(text) {
+    tenantsContainer.innerHTML = `<div class="empty-state">${escapeHtml(text)}</div>`;
+  }
+
+  // Render detected tenants, mapped first and unmapped separated out
+  function renderTenants() {
+    if (tenants.length === 0) {
+      renderEmpty('No tenant IDs detected on this page yet.');
+      return;
+    }
+
+    const mapped = tenants.filter(t => t.mapped);
+    const unmapped = tenants.filter(t => !t.mapped);
+
+    const renderRow = (tenant) => `
+      <div class="tenant-row" data-id="${escapeHtml(tenant.id)}">
+        <div class="tenant-main">
+          <div class="tenant-text">
+            ${tenant.mapped ? `<div class="tenant-name">${escapeHtml(tenant.name)}</div>` : ''}
+            <div class="tenant-id">${escapeHtml(tenant.id)}</div>
+          </div>
+          <span class="tenant-count">×${tenant.count}</span>
+          <button class="copy-id-btn" data-id="${escapeHtml(tenant.id)}">Copy ID</button>
+          ${tenant.mapped
+            ? `<button class="copy-name-btn" data-id="${escapeHtml(tenant.id)}">Copy Name</button>`
+            : `<button class="primary name-btn" data-id="${escapeHtml(tenant.id)}">Name</button>`}
+        </div>
+        ${tenant.mapped ? '' : `
+        <form class="name-form hidden" data-id="${escapeHtml(tenant.id)}">
+          <input type="text" placeholder="Name this tenant" />
+          <button type="submit" class="primary">Save</button>
+        </form>`}
+      </div>
+    `;
+
+    tenantsContainer.innerHTML = `
+      ${mapped.length > 0 ? `
+      <div class="group">
+        <h2>Mapped (${mapped.length})</h2>
+        ${mapped.map(renderRow).join('')}
+      </div>` : ''}
+      ${unmapped.length > 0 ? `
+      <div class="group">
+        <h2>Unmapped (${unmapped.length})</h2>
+        ${unmapped.map(renderRow).join('')}
+      </div>` : ''}
+    `;
+
+    // Attach event listeners
+    tenantsContainer.querySelectorAll('.copy-id-btn').forEach(btn => {
+      btn.addEventListener('click', () => copyText(btn.dataset.id, 'Tenant ID copied'));
+    });
+    tenantsContainer.querySelectorAll('.copy-name-btn').forEach(btn => {
+      const tenant = tenants.find(t => t.id === btn.dataset.id);
+      btn.addEventListener('click', () => copyText(tenant.name, 'Tenant name copied'));
+    });
+    tenantsContainer.querySelectorAll('.name-btn').forEach(btn => {
+      btn.addEventListener('click', handleShowNameForm);
+    });
+    tenantsContainer.querySelectorAll('.name-form').forEach(form => {
+      form.addEventListener('submit', handleSaveName);
+    });
+  }
+
+  // Copy text to the clipboard
+  async function copyText(text, successMessage) {
+    try {
+      await navigator.clipboard.writeText(text);
+      showMessage(successMessage);
+    } catch (error) {
+      showMessage('Could not copy to clipboard', 'error');
+    }
+  }
+
+  // Reveal the inline naming form for an unmapped tenant
+  function handleShowNameForm(e) {
+    const form = tenantsContainer.querySelector(`.name-form[data-id="${e.target.dataset.id}"]`);
+    if (!form) return;
+    form.classList.remove('hidden');
+    form.querySelector('input').focus();
+  }
+
+  // Save a user mapping for an unmapped tenant
+  async function handleSaveName(e) {
+    e.preventDefault();
+    const form = e.target;
+    const tenantId = form.dataset.id;
+    const tenantName = form.querySelector('input').value.trim();
+
+    try {
+      await ext.saveUserMapping(tenantId, tenantName);
+    } catch (error) {
+      showMessage(error.message, 'error');
+      return;
+    }
+
+    const tenant = tenants.find(t => t.id === tenantId);
+    if (tenant) {
+      tenant.mapped = true;
+      tenant.name = tenantName;
+    }
+    renderTenants();
+    showMessage(`Mapping added: ${tenantName}`);
+  }
+
+  // Ask the active tab's content script which tenants it found
+  function loadDetectedTenants() {
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+      if (!tab || tab.id === undefined) {
+        renderEmpty('No active tab.');
+        return;
+      }
+
+      chrome.tabs.sendMessage(tab.id, { type: 'getDetectedTenants' }, (response) => {
+        // No content script on this page
+        if (chrome.runtime.lastError || !response) {
+          renderEmpty('This page is not a supported site.');
+          return;
+        }
+
+        siteNameSpan.textContent = SITE_NAMES[response.site] || response.site;
+        tenants = response.tenants || [];
+        renderTenants();
+      });
+    });
+  }
+
+  // Escape HTML to prevent XSS
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // Event listeners
+  openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+  // Initialize
+  loadDetectedTenants();
+})();
@@ -4,15 +4,186 @@
 (function() {
   'use strict';
 
+  // Global scope: window in content scripts and pages, self in the service worker
+  const root = typeof window !== 'undefined' ? window : self;
+
+  // Overlapping content scripts (a custom site covering a built-in site, a Grafana host or
+  // another custom site) inject this file again; the first copy keeps its caches and listeners
+  if (root.TenantNameExtension && typeof root.TenantNameExtension.loadTenantMappings === 'function') return;
+
   // Make utilities available globally for content scripts
-  window.TenantNameExtension = window.TenantNameExtension || {};
+  root.TenantNameExtension = root.TenantNameExtension || {};
 
-  // Cache for tenant mappings
+  // Cache for tenant records (tenant ID -> record) and their display names
+  let tenantRecords = {};
   let tenantMappings = {};
 
   // UUID pattern for validation
   const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+  // Storage keys shared between content scripts, options page and background worker
+  const REMOTE_SOURCE_KEY = 'remoteSource';
+  const REMOTE_CACHE_KEY = 'remoteMappingsCache';
+
+  // User mappings are sharded across sync keys by the UUID's last hex digit so no single
+  // item hits the per-item quota. Each shard maps tenant ID -> entry {v: value, t: updatedAt},
+  // deletions are kept as tombstones {d: 1, t: updatedAt} so they win over stale copies.
+  // Shards that no longer fit in sync storage are written to local storage instead. Hitting the
+  // write rate limit is temporary: the write is retried, and only kept locally if it keeps failing.
+  const LEGACY_MAPPINGS_KEY = 'tenantMappings';
+  const MAPPING_SHARD_PREFIX = 'tenantMappings_';
+  const MAPPING_SHARD_KEYS = '0123456789abcdef'.split('').map(digit => MAPPING_SHARD_PREFIX + digit);
+  const MAPPING_FALLBACK_KEY = 'mappingStorageFallback';
+  const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+  const SYNC_QUOTA_ERROR = /QUOTA_BYTES|MAX_ITEMS/i;
+  const SYNC_RATE_LIMIT_ERROR = /MAX_WRITE_OPERATIONS/i;
+  const SYNC_RETRY_DELAYS_MS = [1000, 4000, 16000];
+
+  // Deduplicates concurrent legacy migrations within this context
+  let migrationPromise = null;
+
+  // Incremental DOM scanning (see createIncrementalScanner): work is done in idle callbacks,
+  // at most SCAN_BUDGET_MS at a time, and forced after SCAN_IDLE_TIMEOUT_MS on busy pages.
+  // Scans slower than SLOW_SCAN_MS in total are logged.
+  const SCAN_BUDGET_MS = 8;
+  const SCAN_IDLE_TIMEOUT_MS = 500;
+  const SLOW_SCAN_MS = 50;
+  // Pending subtrees beyond this are collapsed into a single full-page scan
+  const SCAN_MAX_PENDING_ROOTS = 500;
+
+  // Timing of every incremental scanner in this page, by scanner name
+  const scannerStats = {};
+
+  // Annotation engine (see createAnnotator): the attribute naming the target that annotated an
+  // element, and the delay of the selector pass after page changes
+  const ANNOTATION_ATTRIBUTE = 'data-tenant-annotation';
+  const ANNOTATION_DEBOUNCE_MS = 150;
+
+  // Tenant record schema. Older data (bundled file, user and remote mappings) stores plain
+  // name strings, which normalizeTenantRecord() migrates, reading a trailing " | Staging"-style
+  // segment as the environment.
+  const TENANT_RECORD_VERSION = 1;
+  const TENANT_ENVIRONMENTS = ['prod', 'staging', 'local'];
+  const ENVIRONMENT_LABELS = { prod: 'Production', staging: 'Staging', local: 'Local' };
+  const ENVIRONMENT_ALIASES = {
+    prod: 'prod',
+    production: 'prod',
+    staging: 'staging',
+    stage: 'staging',
+    local: 'local'
+  };
+  const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+  // Badge colors: one per environment ('default' for tenants without one), editable in the
+  // options page. A record's own color takes precedence over its environment's.
+  const BADGE_PALETTE_KEY = 'badgePalette';
+  const DEFAULT_BADGE_PALETTE = {
+    prod: '#dc2626',
+    staging: '#d97706',
+    local: '#7c3aed',
+    default: '#10b981'
+  };
+  let badgePalette = { ...DEFAULT_BADGE_PALETTE };
+
+  // Deep links shown in the hover card. Templates are edited in the options page so they
+  // match the org's Temporal namespace and ClickHouse service; {tenantId} and {tenantName}
+  // are replaced with URL-encoded values, and an empty template hides the link.
+  const LINK_TEMPLATES_KEY = 'linkTemplates';
+  const TENANT_LINKS = [
+    { key: 'temporal', site: 'temporal', label: 'Temporal workflows' },
+    { key: 'clickhouse', site: 'clickhouse', label: 'ClickHouse database' },
+    { key: 'datadogTraces', site: 'datadog', label: 'Datadog traces' },
+    { key: 'datadogLogs', site: 'datadog', label: 'Datadog logs' }
+  ];
+
+  // Filter the Datadog search bar autocomplete puts in place of a "tenant:<name>" token.
+  // {tenantId} is replaced with the tenant UUID; which facet carries it depends on the org.
+  const DATADOG_FILTER_TEMPLATE_KEY = 'datadogFilterTemplate';
+  const DATADOG_FILTER_PRESETS = [
+    '@accountId:{tenantId}',
+    '@http.url_details.path:*{tenantId}*'
+  ];
+  const DEFAULT_DATADOG_FILTER_TEMPLATE = DATADOG_FILTER_PRESETS[0];
+
+  // Whether ClickHouse Cloud also labels UUID database names that have no mapping (as
+  // "Unknown", click to name). Off by default: only mapped tenants are annotated.
+  const CLICKHOUSE_SHOW_UNMAPPED_KEY = 'clickhouseShowUnmapped';
+  // Tenant ID extraction rules: ordered regexes whose first capture group is the tenant UUID,
+  // scoped to a site and a field type ('*' matches any). The first enabled rule that captures
+  // a valid UUID wins. Edited in the options page and stored as an array in sync storage.
+  const EXTRACTION_RULES_KEY = 'extractionRules';
+  const EXTRACTION_SITES = {
+    '*': 'Any site',
+    temporal: 'Temporal Cloud',
+    clickhouse: 'ClickHouse Cloud',
+    datadog: 'Datadog',
+    grafana: 'Grafana',
+    sentry: 'Sentry'
+  };
+  const EXTRACTION_FIELDS = {
+    '*': 'Any field',
+    workflowId: 'Workflow ID',
+    databaseName: 'Database name',
+    url: 'URL / path',
+    attribute: 'Attribute value'
+  };
+  const UUID_SOURCE = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+  const DEFAULT_EXTRACTION_RULES = [
+    { site: 'temporal', field: 'workflowId', pattern: `^(${UUID_SOURCE})(?:__|$)`, flags: 'i', enabled: true, description: '{uuid}__workflowType__...' },
+    { site: 'temporal', field: 'workflowId', pattern: `^tenant:(${UUID_SOURCE})(?::|$)`, flags: 'i', enabled: true, description: 'tenant:{uuid}:...' },
+    { site: 'clickhouse', field: 'databaseName', pattern: `^(${UUID_SOURCE})$`, flags: 'i', enabled: true, description: 'Database named by the UUID' },
+    { site: 'clickhouse', field: 'databaseName', pattern: `^["\`]?(${UUID_SOURCE})["\`]?\\.`, flags: 'i', enabled: true, description: 'Qualified table name {uuid}.{table}' },
+    { site: 'clickhouse', field: 'attribute', pattern: `^(${UUID_SOURCE})$`, flags: 'i', enabled: true, description: 'tenant_id value in query results' },
+    { site: 'datadog', field: 'attribute', pattern: `^(${UUID_SOURCE})$`, flags: 'i', enabled: true, description: 'accountId attribute' },
+    { site: 'datadog', field: 'attribute', pattern: `(?:^|\\W)account_?id:(${UUID_SOURCE})`, flags: 'i', enabled: true, description: 'Metric group account_id:{uuid}' },
+    { site: 'datadog', field: 'url', pattern: `/accounts/(${UUID_SOURCE})`, flags: 'i', enabled: true, description: '/accounts/{uuid}/...' },
+    { site: 'datadog', field: 'url', pattern: `/orgs/(${UUID_SOURCE})`, flags: 'i', enabled: true, description: '/orgs/{uuid}/...' },
+    { site: 'datadog', field: 'url', pattern: `[?&]tenantId=(${UUID_SOURCE})`, flags: 'i', enabled: true, description: '?tenantId={uuid}' },
+    { site: 'grafana', field: 'attribute', pattern: `^(${UUID_SOURCE})$`, flags: 'i', enabled: true, description: 'Legend, table cell or variable value' },
+    { site: 'grafana', field: 'attribute', pattern: `tenant_id="?(${UUID_SOURCE})`, flags: 'i', enabled: true, description: 'Series label {tenant_id="{uuid}"}' },
+    { site: 'sentry', field: 'attribute', pattern: `^(${UUID_SOURCE})$`, flags: 'i', enabled: true, description: 'tenant_id tag value' },
+    { site: 'sentry', field: 'url', pattern: `/accounts/(${UUID_SOURCE})`, flags: 'i', enabled: true, description: 'request.url /accounts/{uuid}/...' }
+  ];
+  let extractionRules = compileExtractionRules(DEFAULT_EXTRACTION_RULES);
+
+  // User-defined sites. The background worker registers content-custom.js for each site's
+  // match pattern once its host permission is granted; each site has its own siteSettings toggle.
+  // Sites are {id, name, matches: [pattern], selector, ruleSite, field}.
+  const CUSTOM_SITES_KEY = 'customSites';
+  const CUSTOM_SITE_ID_PATTERN = /^custom-[a-z0-9]+$/;
+  const MATCH_PATTERN = /^(https?|\*):\/\/(\*|\*\.[^/*]+|[^/*]+)(\/.*)$/;
+  const BUILT_IN_SITES = ['temporal', 'clickhouse', 'datadog', 'grafana', 'sentry'];
+
+  // Self-hosted Grafana origins (Grafana Cloud's *.grafana.net is in the manifest). The
+  // background worker registers content-grafana.js for them like it does for custom sites.
+  const GRAFANA_HOSTS_KEY = 'grafanaHosts';
+
+  // Datadog sites. The adapter runs on all of them (including custom sub-domains such as
+  // acme.datadoghq.com); the options page picks which regions are annotated. The last Datadog
+  // host the user visited is kept in local storage so deep links from other tools use it.
+  const DATADOG_REGIONS = [
+    { key: 'us1', label: 'US1', host: 'app.datadoghq.com' },
+    { key: 'us3', label: 'US3', host: 'us3.datadoghq.com' },
+    { key: 'us5', label: 'US5', host: 'us5.datadoghq.com' },
+    { key: 'eu1', label: 'EU1', host: 'app.datadoghq.eu' },
+    { key: 'ap1', label: 'AP1', host: 'ap1.datadoghq.com' },
+    { key: 'ap2', label: 'AP2', host: 'ap2.datadoghq.com' },
+    { key: 'us1-fed', label: 'US1-FED', host: 'app.ddog-gov.com' }
+  ];
+  // Sub-domains of the Datadog domains that aren't the app: documentation, marketing and status
+  // pages. The manifest excludes the common ones; these are never a region or a deep-link host.
+  const DATADOG_NON_APP_SUBDOMAINS = ['docs', 'www', 'status', 'api', 'trust', 'learn', 'partners', 'careers', 'investors'];
+  const DATADOG_REGIONS_KEY = 'datadogRegions';
+  const DATADOG_HOST_KEY = 'datadogHost';
+  const DEFAULT_DATADOG_HOST = DATADOG_REGIONS[0].host;
+
+  const DEFAULT_LINK_TEMPLATES = {
+    temporal: 'https://cloud.temporal.io/namespaces/your-namespace/workflows?query=WorkflowId%20STARTS_WITH%20%22{tenantId}%22',
+    clickhouse: 'https://console.clickhouse.cloud/services/your-service-id/console/database/{tenantId}',
+    datadogTraces: 'https://{datadogHost}/apm/traces?query=%40accountId%3A{tenantId}',
+    datadogLogs: 'https://{datadogHost}/logs?query=%40accountId%3A{tenantId}'
+  };
+
   /**
    * Check if extension context is still valid
    * @returns {boolean} True if context is valid
@@ -26,60 +197,1288 @@
     }
   }
 
+  // Lifecycle of the content script running in this page (see getLifecycle)
+  let pageLifecycle = null;
+  const siteLifecycles = new Map();
+
+  // Whether this page already answers the context menu (see setupContextMenuListener)
+  let contextMenuListening = false;
+
+  // The extension was reloaded or removed: nothing set up by the old content script works anymore
+  function handleInvalidContext() {
+    if (!pageLifecycle || !pageLifecycle.active) return;
+    console.log('[Tenant Extension] Extension context invalidated, stopping');
+    pageLifecycle.dispose();
+  }
+
   /**
-   * Load tenant mappings from storage
-   * @returns {Promise<Object>} Promise resolving to tenant mappings
+   * Create a scope owning observers, timers and listeners. Callbacks registered through it stop
+   * running once it is disposed, and tear down the whole page lifecycle if the extension context
+   * was invalidated.
+   * @returns {Object} Scope {active, add, guard, observe, setInterval, setTimeout, listen,
+   *   onStorageChanged, onMessage, child, dispose}
    */
-  async function loadTenantMappings() {
-    // Check if extension context is valid before accessing Chrome APIs
+  function createLifecycleScope() {
+    const disposers = new Set();
+    let active = true;
+
+    /**
+     * Register a cleanup function; runs right away if the scope is already disposed
+     * @param {function(): void} dispose
+     * @returns {function(): void} Runs the cleanup early and forgets it
+     */
+    function add(dispose) {
+      if (!active) {
+        dispose();
+        return () => {};
+      }
+      disposers.add(dispose);
+      return () => {
+        if (disposers.delete(dispose)) dispose();
+      };
+    }
+
+    /**
+     * Wrap a callback so it only runs while the scope is active and the context is valid
+     * @param {Function} callback
+     * @returns {Function}
+     */
+    function guard(callback) {
+      return (...args) => {
+        if (!active) return undefined;
+        if (!isContextValid()) {
+          handleInvalidContext();
+          return undefined;
+        }
+        return callback(...args);
+      };
+    }
+
+    /**
+     * Observe DOM changes until the scope is disposed
+     * @returns {MutationObserver}
+     */
+    function observe(target, options, callback) {
+      const observer = new MutationObserver(guard(callback));
+      observer.observe(target, options);
+      add(() => observer.disconnect());
+      return observer;
+    }
+
+    /**
+     * @returns {function(): void} Stops the interval
+     */
+    function scopedSetInterval(callback, ms) {
+      const id = setInterval(guard(callback), ms);
+      return add(() => clearInterval(id));
+    }
+
+    /**
+     * @returns {function(): void} Cancels the timeout
+     */
+    function scopedSetTimeout(callback, ms) {
+      let cancel = null;
+      const id = setTimeout(guard(() => {
+        cancel();
+        callback();
+      }), ms);
+      cancel = add(() => clearTimeout(id));
+      return cancel;
+    }
+
+    /**
+     * Add a DOM event listener until the scope is disposed
+     * @returns {function(): void} Removes the listener
+     */
+    function listen(target, type, handler, options) {
+      const wrapped = guard(handler);
+      target.addEventListener(type, wrapped, options);
+      return add(() => target.removeEventListener(type, wrapped, options));
+    }
+
+    // chrome.* listeners can't be removed once the context is gone; that's fine, they never fire again
+    function addChromeListener(event, handler) {
+      const wrapped = guard(handler);
+      event.addListener(wrapped);
+      return add(() => {
+        try {
+          event.removeListener(wrapped);
+        } catch (error) {
+          // Context invalidated
+        }
+      });
+    }
+
+    /**
+     * Listen to chrome.storage.onChanged until the scope is disposed
+     * @param {function(Object, string): void} handler - (changes, area)
+     * @returns {function(): void} Removes the listener
+     */
+    function onStorageChanged(handler) {
+      return addChromeListener(chrome.storage.onChanged, handler);
+    }
+
+    /**
+     * Listen to chrome.runtime.onMessage until the scope is disposed
+     * @param {function(*, Object, Function): boolean} handler - Return true to respond asynchronously
+     * @returns {function(): void} Removes the listener
+     */
+    function onMessage(handler) {
+      return addChromeListener(chrome.runtime.onMessage, handler);
+    }
+
+    /**
+     * Create a nested scope, disposed with this one
+     * @returns {Object} Scope
+     */
+    function child() {
+      const scope = createLifecycleScope();
+      scope.add(add(() => scope.dispose()));
+      return scope;
+    }
+
+    /**
+     * Run every cleanup function (latest first) and stop all guarded callbacks
+     */
+    function dispose() {
+      if (!active) return;
+      active = false;
+      Array.from(disposers).reverse().forEach(cleanup => {
+        try {
+          cleanup();
+        } catch (error) {
+          console.error('[Tenant Extension] Error during cleanup:', error);
+        }
+      });
+      disposers.clear();
+    }
+
+    return {
+      get active() {
+        return active;
+      },
+      add,
+      guard,
+      observe,
+      setInterval: scopedSetInterval,
+      setTimeout: scopedSetTimeout,
+      listen,
+      onStorageChanged,
+      onMessage,
+      child,
+      dispose
+    };
+  }
+
+  // Add enable sessions to a scope: start() ends the previous session and returns a new one
+  function addSessions(scope) {
+    let session = null;
+    Object.assign(scope, {
+      start() {
+        if (session) session.dispose();
+        session = scope.child();
+        return session;
+      },
+      stop() {
+        if (session) session.dispose();
+        session = null;
+      }
+    });
+    Object.defineProperty(scope, 'session', {
+      get: () => (session && session.active ? session : null)
+    });
+    return scope;
+  }
+
+  /**
+   * Lifecycle of the content scripts running in this page. The page scope owns what lives as long
+   * as the page (settings listeners, the hover card, the popup and context menu listeners). Each
+   * site adapter gets its own scope under it, whose session owns what runs while the site is
+   * enabled (observers, retry timers, annotations). Starting a session ends the previous one, so
+   * enable/disable cycles never duplicate work; adapters overlapping in one page (a custom site
+   * covering a built-in one) keep separate sessions. Everything is disposed if the extension
+   * context is invalidated.
+   * @param {string} [siteKey] - Site adapter; omit for the page scope
+   * @returns {Object} Scope; a site's scope also has start() -> new session scope, stop() and
+   *   session (or null)
+   */
+  function getLifecycle(siteKey) {
+    if (!pageLifecycle) {
+      pageLifecycle = createLifecycleScope();
+    }
+    if (!siteKey) return pageLifecycle;
+
+    let site = siteLifecycles.get(siteKey);
+    if (!site || !site.active) {
+      site = addSessions(pageLifecycle.child());
+      siteLifecycles.set(siteKey, site);
+    }
+    return site;
+  }
+
+  /**
+   * Normalize a mapping value into a tenant record
+   * Accepts the legacy name string or a (possibly partial or older) record object.
+   * @param {string|Object} value - Stored mapping value
+   * @returns {Object|null} Record {version, name, environment, parentOrg, tier, color, notes, tags} or null if invalid
+   */
+  function normalizeTenantRecord(value) {
+    if (typeof value === 'string') {
+      const text = value.trim();
+      if (!text) return null;
+
+      const parts = text.split(' | ');
+      const environment = parts.length > 1 ? ENVIRONMENT_ALIASES[parts[parts.length - 1].trim().toLowerCase()] : null;
+      const name = environment ? parts.slice(0, -1).join(' | ').trim() : text;
+      return normalizeTenantRecord({ name, environment });
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+    const name = typeof value.name === 'string' ? value.name.trim() : '';
+    if (!name) return null;
+
+    const text = (field) => (typeof field === 'string' ? field.trim() : '');
+    const environment = ENVIRONMENT_ALIASES[text(value.environment).toLowerCase()] || null;
+    const tags = Array.isArray(value.tags)
+      ? value.tags.filter(tag => typeof tag === 'string' && tag.trim() !== '').map(tag => tag.trim())
+      : [];
+
+    return {
+      version: TENANT_RECORD_VERSION,
+      name,
+      environment,
+      parentOrg: text(value.parentOrg),
+      tier: text(value.tier),
+      color: COLOR_PATTERN.test(text(value.color)) ? text(value.color).toLowerCase() : '',
+      notes: text(value.notes),
+      tags
+    };
+  }
+
+  /**
+   * Strip empty fields from a record before storing it (sync storage is small)
+   * @param {Object} record - Normalized tenant record
+   * @returns {Object} Record with only non-empty fields
+   */
+  function compactTenantRecord(record) {
+    const compact = {};
+    Object.entries(record).forEach(([field, value]) => {
+      if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return;
+      compact[field] = value;
+    });
+    return compact;
+  }
+
+  /**
+   * Display name for a record: the name, plus the environment for non-production tenants
+   * (e.g. "Salesforce | Staging"), matching how names were written before records existed.
+   * @param {Object} record - Normalized tenant record
+   * @returns {string} Display name
+   */
+  function formatTenantLabel(record) {
+    if (record.environment && record.environment !== 'prod') {
+      return `${record.name} | ${ENVIRONMENT_LABELS[record.environment]}`;
+    }
+    return record.name;
+  }
+
+  /**
+   * Normalize every value of a mapping layer, dropping invalid entries
+   * @param {Object} mappings - Tenant ID -> string or record
+   * @returns {Object} Tenant ID -> normalized record
+   */
+  function normalizeMappingLayer(mappings) {
+    const records = {};
+    Object.entries(mappings || {}).forEach(([id, value]) => {
+      const record = normalizeTenantRecord(value);
+      if (record) records[id] = record;
+    });
+    return records;
+  }
+
+  /**
+   * Replace the cached records and derived display names
+   * @param {Object} records - Tenant ID -> normalized record
+   */
+  function setCachedRecords(records) {
+    tenantRecords = records;
+    tenantMappings = {};
+    Object.entries(records).forEach(([id, record]) => {
+      tenantMappings[id] = formatTenantLabel(record);
+    });
+  }
+
+  /**
+   * Promise wrapper for chrome.storage get
+   * @param {string} area - 'sync' or 'local'
+   * @param {Array<string>|null} keys - Keys to read (null for everything)
+   * @returns {Promise<Object>} Stored items, rejects with the runtime error
+   */
+  function storageGet(area, keys) {
+    return new Promise((resolve, reject) => {
+      chrome.storage[area].get(keys, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(result || {});
+      });
+    });
+  }
+
+  /**
+   * Promise wrapper for chrome.storage set
+   * @param {string} area - 'sync' or 'local'
+   * @param {Object} items - Items to write
+   * @returns {Promise<void>} Rejects with the runtime error (e.g. quota exceeded)
+   */
+  function storageSet(area, items) {
+    return new Promise((resolve, reject) => {
+      chrome.storage[area].set(items, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Promise wrapper for chrome.storage remove
+   * @param {string} area - 'sync' or 'local'
+   * @param {Array<string>} keys - Keys to remove
+   * @returns {Promise<void>} Rejects with the runtime error
+   */
+  function storageRemove(area, keys) {
+    return new Promise((resolve, reject) => {
+      chrome.storage[area].remove(keys, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Get the storage shard key for a tenant ID
+   * @param {string} tenantId - The tenant UUID
+   * @returns {string} Shard key
+   */
+  function getShardKey(tenantId) {
+    return MAPPING_SHARD_PREFIX + tenantId.slice(-1).toLowerCase();
+  }
+
+  /**
+   * Merge shard copies per tenant ID, keeping the most recently updated entry.
+   * On equal timestamps the earlier argument wins.
+   * @param {...Object} shards - Shard objects (tenant ID -> entry)
+   * @returns {Object} Merged shard
+   */
+  function mergeShardEntries(...shards) {
+    const merged = {};
+    shards.forEach(shard => {
+      Object.entries(shard || {}).forEach(([id, entry]) => {
+        if (!entry || typeof entry.t !== 'number') return;
+        if (!merged[id] || entry.t > merged[id].t) {
+          merged[id] = entry;
+        }
+      });
+    });
+    return merged;
+  }
+
+  /**
+   * Drop tombstones old enough that every device has seen them
+   * @param {Object} shard - Shard object
+   * @param {number} now - Current time in ms
+   * @returns {Object} The shard without expired tombstones
+   */
+  function pruneTombstones(shard, now) {
+    const pruned = {};
+    Object.entries(shard).forEach(([id, entry]) => {
+      if (!entry.d || now - entry.t < TOMBSTONE_TTL_MS) {
+        pruned[id] = entry;
+      }
+    });
+    return pruned;
+  }
+
+  /**
+   * Read every mapping shard from sync and local storage (plus the legacy key)
+   * @returns {Promise<Object>} {syncData, localData}
+   */
+  async function readMappingShards() {
+    const [syncData, localData] = await Promise.all([
+      storageGet('sync', [LEGACY_MAPPINGS_KEY, ...MAPPING_SHARD_KEYS]),
+      storageGet('local', MAPPING_SHARD_KEYS)
+    ]);
+    return { syncData, localData };
+  }
+
+  /**
+   * Whether a shard holds every entry of another one, at the same or a newer timestamp
+   * @param {Object} shard - Shard object
+   * @param {Object} other - Shard object
+   * @returns {boolean}
+   */
+  function coversShardEntries(shard, other) {
+    return Object.entries(other || {}).every(([id, entry]) =>
+      !entry || typeof entry.t !== 'number' || (shard[id] && shard[id].t >= entry.t)
+    );
+  }
+
+  /**
+   * Write a shard to sync storage, falling back to local storage when the sync quota is exhausted
+   * @param {string} key - Shard key
+   * @param {Object} shard - Shard object
+   * @returns {Promise<boolean>} True if the shard had to be written to local storage
+   */
+  async function writeMappingShard(key, shard) {
+    try {
+      await writeSyncWithRetry({ [key]: shard });
+      // Drop the local copy only once the synced one holds all of its entries; whatever
+      // it still has over sync is moved by the next flushFallbackMappings()
+      const localData = await storageGet('local', [key]);
+      if (localData[key] && coversShardEntries(shard, localData[key])) {
+        await storageRemove('local', [key]);
+      }
+      return false;
+    } catch (error) {
+      const rateLimited = SYNC_RATE_LIMIT_ERROR.test(error.message);
+      if (!rateLimited && !SYNC_QUOTA_ERROR.test(error.message)) {
+        throw error;
+      }
+      console.warn('[Tenant Extension]', rateLimited ? 'Sync write rate limit hit' : 'Sync quota exhausted',
+        '- storing', key, 'locally:', error.message);
+      await storageSet('local', {
+        [key]: shard,
+        [MAPPING_FALLBACK_KEY]: { active: true, reason: error.message, rateLimited, since: Date.now() }
+      });
+      return true;
+    }
+  }
+
+  /**
+   * Write to sync storage, retrying with backoff while the write rate limit is hit
+   * @param {Object} items - Items to write
+   * @returns {Promise<void>} Rejects with the last error
+   */
+  async function writeSyncWithRetry(items) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await storageSet('sync', items);
+        return;
+      } catch (error) {
+        if (!SYNC_RATE_LIMIT_ERROR.test(error.message) || attempt >= SYNC_RETRY_DELAYS_MS.length) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, SYNC_RETRY_DELAYS_MS[attempt]));
+      }
+    }
+  }
+
+  /**
+   * Clear the fallback warning once no shard is stored locally any more
+   * @returns {Promise<void>}
+   */
+  async function refreshFallbackState() {
+    const localData = await storageGet('local', [MAPPING_FALLBACK_KEY, ...MAPPING_SHARD_KEYS]);
+    const hasLocalShards = MAPPING_SHARD_KEYS.some(key => localData[key]);
+    if (!hasLocalShards && localData[MAPPING_FALLBACK_KEY]) {
+      await storageRemove('local', [MAPPING_FALLBACK_KEY]);
+    }
+  }
+
+  /**
+   * Move mappings saved under the legacy single tenantMappings key into shards.
+   * Migrated entries get timestamp 0 so any real edit made since wins.
+   * @returns {Promise<void>}
+   */
+  function migrateLegacyMappings() {
+    if (migrationPromise) return migrationPromise;
+
+    migrationPromise = (async () => {
+      const { syncData, localData } = await readMappingShards();
+      const legacy = syncData[LEGACY_MAPPINGS_KEY];
+      if (!legacy) return;
+
+      const byShard = {};
+      Object.entries(legacy).forEach(([id, value]) => {
+        if (!isValidUUID(id)) return;
+        const key = getShardKey(id);
+        byShard[key] = byShard[key] || {};
+        byShard[key][id] = { v: value, t: 0 };
+      });
+
+      for (const [key, entries] of Object.entries(byShard)) {
+        await writeMappingShard(key, mergeShardEntries(syncData[key], localData[key], entries));
+      }
+      await storageRemove('sync', [LEGACY_MAPPINGS_KEY]);
+      await refreshFallbackState();
+      console.log('[Tenant Extension] Migrated', Object.keys(legacy).length, 'legacy user mappings');
+    })().catch(error => {
+      console.error('[Tenant Extension] Error migrating legacy user mappings:', error);
+    }).finally(() => {
+      migrationPromise = null;
+    });
+
+    return migrationPromise;
+  }
+
+  /**
+   * Load user mappings from the sharded storage (sync and local fallback)
+   * @returns {Promise<Object>} Promise resolving to user mappings (tenant ID -> record)
+   */
+  async function loadUserMappings() {
     if (!isContextValid()) {
-      console.warn('[Tenant Extension] Extension context invalidated, cannot load mappings');
       return {};
     }
 
-    // 1. Load bundled mappings from repo file
-    let bundledMappings = {};
     try {
-      const url = chrome.runtime.getURL('tenant-mappings.json');
-      const response = await fetch(url);
-      if (response.ok) {
-        bundledMappings = await response.json();
-        console.log('[Tenant Extension] Loaded bundled mappings:', Object.keys(bundledMappings).length);
-      }
+      await migrateLegacyMappings();
+      const { syncData, localData } = await readMappingShards();
+
+      const mappings = {};
+      MAPPING_SHARD_KEYS.forEach(key => {
+        Object.entries(mergeShardEntries(syncData[key], localData[key])).forEach(([id, entry]) => {
+          if (!entry.d) {
+            mappings[id] = entry.v;
+          }
+        });
+      });
+      return normalizeMappingLayer(mappings);
     } catch (error) {
-      console.warn('[Tenant Extension] Could not load bundled mappings:', error);
+      console.error('[Tenant Extension] Error loading user mappings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Apply changes to user mappings. Only the shards holding changed tenant IDs are
+   * rewritten, each merged per tenant ID with what is currently stored.
+   * @param {Object} changes - Tenant ID -> record (or legacy name string), or null to delete the mapping
+   * @returns {Promise<Object>} Resolves to {fallback: boolean} (true if stored locally only)
+   */
+  async function updateUserMappings(changes) {
+    if (!isContextValid()) {
+      throw new Error('Extension context invalidated');
+    }
+
+    const invalidId = Object.keys(changes).find(id => !isValidUUID(id));
+    if (invalidId) {
+      throw new Error(`Invalid tenant ID: ${invalidId}`);
+    }
+
+    const records = {};
+    Object.entries(changes).forEach(([id, value]) => {
+      if (value === null) return;
+      records[id] = normalizeTenantRecord(value);
+      if (!records[id]) {
+        throw new Error(`Missing tenant name for ${id}`);
+      }
+    });
+
+    await migrateLegacyMappings();
+
+    const now = Date.now();
+    const byShard = {};
+    Object.keys(changes).forEach(id => {
+      const key = getShardKey(id);
+      byShard[key] = byShard[key] || {};
+      byShard[key][id] = records[id] ? { v: compactTenantRecord(records[id]), t: now } : { d: 1, t: now };
+    });
+
+    const { syncData, localData } = await readMappingShards();
+    let fallback = false;
+    for (const [key, updates] of Object.entries(byShard)) {
+      const shard = pruneTombstones({ ...mergeShardEntries(syncData[key], localData[key]), ...updates }, now);
+      if (await writeMappingShard(key, shard)) {
+        fallback = true;
+      }
+    }
+
+    // Sync accepts writes again: move shards left on this device earlier back to sync
+    if (!fallback && MAPPING_SHARD_KEYS.some(key => localData[key])) {
+      await flushFallbackMappings();
+    } else {
+      await refreshFallbackState();
+    }
+
+    return { fallback };
+  }
+
+  /**
+   * Re-apply entries lost when another device's write replaced a shard
+   * (chrome.storage.sync is last-writer-wins per key). Call from a storage.onChanged listener.
+   * @param {Object} changes - storage.onChanged changes
+   * @param {string} area - storage area name
+   * @returns {Promise<void>}
+   */
+  async function reconcileMappingShardChanges(changes, area) {
+    if (area !== 'sync') return;
+
+    for (const [key, change] of Object.entries(changes)) {
+      if (!MAPPING_SHARD_KEYS.includes(key) || !change.oldValue || !change.newValue) continue;
+
+      // Entries saved on this device only (sync quota fallback) must survive the rewrite too
+      const localData = await storageGet('local', [key]);
+      const incoming = change.newValue;
+      // Tombstones the writer pruned have expired: they weren't lost, so don't write them back
+      const merged = pruneTombstones(mergeShardEntries(incoming, change.oldValue, localData[key]), Date.now());
+      const lostEntries = Object.keys(merged).filter(id => merged[id] !== incoming[id]);
+      if (lostEntries.length > 0) {
+        console.log('[Tenant Extension] Restoring', lostEntries.length, 'concurrent edits in', key);
+        await writeMappingShard(key, merged);
+      }
     }
+    await refreshFallbackState();
+  }
+
+  /**
+   * Rewrite legacy name strings stored in shards as records, keeping their timestamps
+   * @returns {Promise<void>}
+   */
+  async function upgradeStoredRecords() {
+    const { syncData, localData } = await readMappingShards();
+    for (const key of MAPPING_SHARD_KEYS) {
+      const shard = mergeShardEntries(syncData[key], localData[key]);
+      let upgraded = false;
+      Object.entries(shard).forEach(([id, entry]) => {
+        if (!entry.d && typeof entry.v === 'string') {
+          const record = normalizeTenantRecord(entry.v);
+          if (record) {
+            shard[id] = { v: compactTenantRecord(record), t: entry.t };
+            upgraded = true;
+          }
+        }
+      });
+      if (upgraded) {
+        await writeMappingShard(key, shard);
+      }
+    }
+  }
+
+  /**
+   * Try to move locally stored (fallback) shards back into sync storage. Runs after successful
+   * saves and periodically from the background worker.
+   * @returns {Promise<void>}
+   */
+  async function flushFallbackMappings() {
+    const { syncData, localData } = await readMappingShards();
+    for (const key of MAPPING_SHARD_KEYS) {
+      if (localData[key]) {
+        await writeMappingShard(key, pruneTombstones(mergeShardEntries(syncData[key], localData[key]), Date.now()));
+      }
+    }
+    await refreshFallbackState();
+  }
 
-    // 2. Load user overrides from Chrome storage
-    const userMappings = await new Promise((resolve) => {
+  /**
+   * Get the sync quota fallback state
+   * @returns {Promise<Object|null>} {active, reason, since} when mappings are stored locally only
+   */
+  async function getMappingStorageFallback() {
+    const localData = await storageGet('local', [MAPPING_FALLBACK_KEY]);
+    return localData[MAPPING_FALLBACK_KEY] || null;
+  }
+
+  /**
+   * Check whether a storage change touches user mappings
+   * @param {Object} changes - storage.onChanged changes
+   * @param {string} area - storage area name
+   * @returns {boolean} True if user mappings changed
+   */
+  function isUserMappingStorageChange(changes, area) {
+    if (area !== 'sync' && area !== 'local') return false;
+    return Object.keys(changes).some(key => key === LEGACY_MAPPINGS_KEY || key.startsWith(MAPPING_SHARD_PREFIX));
+  }
+
+  /**
+   * Load the cached remote mappings written by the background worker
+   * @returns {Promise<Object>} Promise resolving to remote mappings (tenant ID -> record, empty if none cached)
+   */
+  function loadRemoteMappings() {
+    return new Promise((resolve) => {
       try {
         if (!isContextValid()) {
           resolve({});
           return;
         }
-        chrome.storage.sync.get(['tenantMappings'], (result) => {
+        chrome.storage.local.get([REMOTE_CACHE_KEY], (result) => {
           if (chrome.runtime.lastError) {
-            console.error('[Tenant Extension] Error loading user mappings:', chrome.runtime.lastError);
+            console.error('[Tenant Extension] Error loading remote mappings:', chrome.runtime.lastError);
             resolve({});
             return;
           }
-          resolve(result.tenantMappings || {});
+          const cache = result[REMOTE_CACHE_KEY];
+          resolve(normalizeMappingLayer(cache && cache.mappings));
         });
       } catch (error) {
-        console.error('[Tenant Extension] Exception loading user mappings:', error);
+        console.error('[Tenant Extension] Exception loading remote mappings:', error);
         resolve({});
       }
     });
+  }
+
+  /**
+   * Load the bundled tenant-mappings.json shipped with the extension
+   * @returns {Promise<Object>} Promise resolving to bundled mappings (tenant ID -> record)
+   */
+  async function loadBundledMappings() {
+    // Pages outside the web_accessible_resources matches (custom sites) can't fetch
+    // the file directly, so ask the background worker for it
+    if (!canFetchBundledMappings()) {
+      return new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'getBundledMappings' }, (mappings) => {
+          if (chrome.runtime.lastError) {
+            console.warn('[Tenant Extension] Could not load bundled mappings:', chrome.runtime.lastError.message);
+            resolve({});
+            return;
+          }
+          resolve(mappings || {});
+        });
+      });
+    }
+
+    try {
+      const url = chrome.runtime.getURL('tenant-mappings.json');
+      const response = await fetch(url);
+      if (response.ok) {
+        return normalizeMappingLayer(await response.json());
+      }
+    } catch (error) {
+      console.warn('[Tenant Extension] Could not load bundled mappings:', error);
+    }
+    return {};
+  }
+
+  /**
+   * Whether this context may fetch tenant-mappings.json itself: extension pages, the
+   * background worker and pages listed in the manifest's web_accessible_resources
+   * @returns {boolean} True if a direct fetch is allowed
+   */
+  function canFetchBundledMappings() {
+    if (typeof location === 'undefined' || location.protocol === 'chrome-extension:') return true;
+    const resources = chrome.runtime.getManifest().web_accessible_resources || [];
+    return resources.some(entry =>
+      entry.resources.includes('tenant-mappings.json') &&
+      (entry.matches || []).some(pattern => matchPatternToRegExp(pattern).test(location.href))
+    );
+  }
+
+  /**
+   * Load tenant mappings from storage
+   * Layers, lowest precedence first: bundled file, remote source cache, user overrides.
+   * @returns {Promise<Object>} Promise resolving to tenant mappings (tenant ID -> display name)
+   */
+  async function loadTenantMappings() {
+    // Check if extension context is valid before accessing Chrome APIs
+    if (!isContextValid()) {
+      console.warn('[Tenant Extension] Extension context invalidated, cannot load mappings');
+      return {};
+    }
+
+    // 1. Load bundled mappings from repo file
+    const bundledMappings = await loadBundledMappings();
+    console.log('[Tenant Extension] Loaded bundled mappings:', Object.keys(bundledMappings).length);
+
+    // 2. Load remote mappings cached by the background worker
+    const remoteMappings = await loadRemoteMappings();
+    console.log('[Tenant Extension] Loaded remote mappings:', Object.keys(remoteMappings).length);
+
+    // 3. Load user overrides from the sharded Chrome storage
+    const userMappings = await loadUserMappings();
 
     console.log('[Tenant Extension] Loaded user mappings:', Object.keys(userMappings).length);
 
-    // 3. Merge (user overrides take precedence)
-    tenantMappings = { ...bundledMappings, ...userMappings };
+    // 4. Merge (remote overrides bundled, user overrides both)
+    setCachedRecords({ ...bundledMappings, ...remoteMappings, ...userMappings });
     console.log('[Tenant Extension] Total tenant mappings:', Object.keys(tenantMappings).length);
+
+    // 5. Badge colors and tenant ID extraction rules used when rendering the mappings
+    await loadBadgePalette();
+    await loadExtractionRules();
     
     return tenantMappings;
   }
 
+  /**
+   * Fill in missing or invalid palette colors with the defaults
+   * @param {Object} palette - Stored palette (environment -> #rrggbb)
+   * @returns {Object} Complete palette
+   */
+  function normalizeBadgePalette(palette) {
+    const normalized = { ...DEFAULT_BADGE_PALETTE };
+    Object.keys(DEFAULT_BADGE_PALETTE).forEach(key => {
+      const color = palette && typeof palette[key] === 'string' ? palette[key].trim() : '';
+      if (COLOR_PATTERN.test(color)) normalized[key] = color.toLowerCase();
+    });
+    return normalized;
+  }
+
+  /**
+   * Load the badge palette from sync storage into the cache
+   * @returns {Promise<Object>} Promise resolving to the complete palette
+   */
+  async function loadBadgePalette() {
+    try {
+      if (isContextValid()) {
+        const result = await storageGet('sync', [BADGE_PALETTE_KEY]);
+        badgePalette = normalizeBadgePalette(result[BADGE_PALETTE_KEY]);
+      }
+    } catch (error) {
+      console.error('[Tenant Extension] Error loading badge palette:', error);
+    }
+    return { ...badgePalette };
+  }
+
+  /**
+   * Badge color for a record: its own color, else its environment's palette color
+   * @param {Object} record - Normalized tenant record
+   * @returns {string} #rrggbb color
+   */
+  function getRecordBadgeColor(record) {
+    return record.color || badgePalette[record.environment || 'default'];
+  }
+
+  /**
+   * Readable text color (dark or white) on a badge of the given background color
+   * @param {string} color - #rrggbb background
+   * @returns {string} #rrggbb text color
+   */
+  function getBadgeTextColor(color) {
+    const value = parseInt(color.slice(1), 16);
+    const r = (value >> 16) & 0xff;
+    const g = (value >> 8) & 0xff;
+    const b = value & 0xff;
+    // Perceived brightness (YIQ)
+    return (r * 299 + g * 587 + b * 114) / 1000 >= 150 ? '#111827' : '#ffffff';
+  }
+
+  /**
+   * Color a badge element for a tenant. Sets the tenant-badge class, the
+   * --tenant-badge-color / --tenant-badge-text custom properties that the site
+   * stylesheets use, and data-tenant-environment. Unmapped tenants are left uncolored.
+   * @param {HTMLElement} element - Label, badge or cell element
+   * @param {string} tenantId - The tenant UUID
+   */
+  function applyTenantBadge(element, tenantId) {
+    const record = tenantId ? tenantRecords[tenantId] : null;
+    if (!record) {
+      clearTenantBadge(element);
+      return;
+    }
+    const color = getRecordBadgeColor(record);
+    element.classList.add('tenant-badge');
+    element.style.setProperty('--tenant-badge-color', color);
+    element.style.setProperty('--tenant-badge-text', getBadgeTextColor(color));
+    element.setAttribute('data-tenant-environment', record.environment || 'default');
+  }
+
+  /**
+   * Remove badge coloring added by applyTenantBadge
+   * @param {HTMLElement} element - Label, badge or cell element
+   */
+  function clearTenantBadge(element) {
+    element.classList.remove('tenant-badge');
+    element.style.removeProperty('--tenant-badge-color');
+    element.style.removeProperty('--tenant-badge-text');
+    element.removeAttribute('data-tenant-environment');
+  }
+
+  /**
+   * Validate extraction rules, keeping the valid ones in order
+   * @param {Array<Object>} rules - Rules {site, field, pattern, flags?, enabled?, description?}
+   * @returns {Object} {rules: normalized valid rules, errors: [{index, message}]}
+   */
+  function normalizeExtractionRules(rules) {
+    const result = { rules: [], errors: [] };
+    if (!Array.isArray(rules)) {
+      result.errors.push({ index: null, message: 'Rules must be a JSON array' });
+      return result;
+    }
+
+    rules.forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object') {
+        result.errors.push({ index, message: 'Rule must be an object' });
+        return;
+      }
+      const site = rule.site || '*';
+      const field = rule.field || '*';
+      const pattern = typeof rule.pattern === 'string' ? rule.pattern : '';
+      const flags = typeof rule.flags === 'string' ? rule.flags.replace(/[^imsu]/g, '') : 'i';
+
+      if (!EXTRACTION_SITES.hasOwnProperty(site)) {
+        result.errors.push({ index, message: `Unknown site "${site}"` });
+        return;
+      }
+      if (!EXTRACTION_FIELDS.hasOwnProperty(field)) {
+        result.errors.push({ index, message: `Unknown field "${field}"` });
+        return;
+      }
+      if (!pattern) {
+        result.errors.push({ index, message: 'Pattern is empty' });
+        return;
+      }
+
+      let regex;
+      try {
+        regex = new RegExp(pattern, flags);
+      } catch (error) {
+        result.errors.push({ index, message: `Invalid pattern: ${error.message}` });
+        return;
+      }
+      // An alternation with the empty pattern always matches, exposing the group count
+      if (new RegExp(`${regex.source}|`, flags).exec('').length < 2) {
+        result.errors.push({ index, message: 'Pattern needs a capture group for the tenant ID' });
+        return;
+      }
+
+      result.rules.push({
+        site,
+        field,
+        pattern,
+        flags,
+        enabled: rule.enabled !== false,
+        description: typeof rule.description === 'string' ? rule.description.trim() : ''
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Turn stored rules into the cached form with compiled regexes (invalid rules are dropped)
+   * @param {Array<Object>} rules - Stored rules
+   * @returns {Array<Object>} Enabled rules with a regex property
+   */
+  function compileExtractionRules(rules) {
+    return normalizeExtractionRules(rules).rules
+      .filter(rule => rule.enabled)
+      .map(rule => ({ ...rule, regex: new RegExp(rule.pattern, rule.flags) }));
+  }
+
+  /**
+   * Load the extraction rules from sync storage into the cache
+   * @returns {Promise<Array<Object>>} Promise resolving to the stored (or default) rules
+   */
+  async function loadExtractionRules() {
+    let rules = DEFAULT_EXTRACTION_RULES;
+    try {
+      if (isContextValid()) {
+        const result = await storageGet('sync', [EXTRACTION_RULES_KEY]);
+        if (Array.isArray(result[EXTRACTION_RULES_KEY])) {
+          rules = result[EXTRACTION_RULES_KEY];
+        }
+      }
+    } catch (error) {
+      console.error('[Tenant Extension] Error loading extraction rules:', error);
+    }
+    extractionRules = compileExtractionRules(rules);
+    return rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Extract a tenant ID from text with the extraction rules for a site and field
+   * @param {string} site - Site key ('temporal', 'clickhouse', 'datadog')
+   * @param {string} field - Field type ('workflowId', 'databaseName', 'url', 'attribute')
+   * @param {string} text - Text to search
+   * @param {Array<Object>} rules - Optional rules to use instead of the cached ones (e.g. unsaved edits)
+   * @returns {string|null} The tenant UUID or null
+   */
+  function extractTenantId(site, field, text, rules) {
+    if (!text) return null;
+    const candidates = rules ? compileExtractionRules(rules) : extractionRules;
+    for (const rule of candidates) {
+      if (rule.site !== '*' && rule.site !== site) continue;
+      if (rule.field !== '*' && rule.field !== field) continue;
+      const match = rule.regex.exec(text);
+      if (match && isValidUUID(match[1])) {
+        return match[1];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a Chrome match pattern (scheme://host/path) usable for a custom site
+   * @param {string} pattern - Match pattern, e.g. https://admin.example.com/*
+   * @returns {boolean} True if valid
+   */
+  function isValidMatchPattern(pattern) {
+    return typeof pattern === 'string' && MATCH_PATTERN.test(pattern.trim());
+  }
+
+  /**
+   * Convert a Chrome match pattern to a regex for testing URLs
+   * @param {string} pattern - Match pattern
+   * @returns {RegExp} Regex matching the URLs the pattern covers (never matches if invalid)
+   */
+  function matchPatternToRegExp(pattern) {
+    const match = MATCH_PATTERN.exec((pattern || '').trim());
+    if (!match) return /(?!)/;
+    const [, scheme, host, path] = match;
+    const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const schemeSource = scheme === '*' ? 'https?' : scheme;
+    const hostSource = host === '*'
+      ? '[^/]+'
+      : host.startsWith('*.')
+        ? `(?:[^/]+\\.)?${escape(host.slice(2))}`
+        : escape(host);
+    const pathSource = path.split('*').map(escape).join('.*');
+    return new RegExp(`^${schemeSource}://${hostSource}(?::\\d+)?${pathSource}$`, 'i');
+  }
+
+  /**
+   * Validate a custom site definition
+   * @param {Object} site - {id?, name, matches|pattern, selector, ruleSite, field}
+   * @returns {Object} {site: normalized site} or {error: message}
+   */
+  function normalizeCustomSite(site) {
+    if (!site || typeof site !== 'object') return { error: 'Site must be an object' };
+
+    const name = typeof site.name === 'string' ? site.name.trim() : '';
+    const matches = (Array.isArray(site.matches) ? site.matches : [site.pattern])
+      .filter(pattern => typeof pattern === 'string' && pattern.trim() !== '')
+      .map(pattern => pattern.trim());
+    const selector = typeof site.selector === 'string' ? site.selector.trim() : '';
+    const ruleSite = site.ruleSite || '*';
+    const field = site.field || '*';
+
+    if (!name) return { error: 'Please enter a site name' };
+    if (matches.length === 0) return { error: 'Please enter a URL match pattern' };
+    const invalid = matches.find(pattern => !isValidMatchPattern(pattern));
+    if (invalid) return { error: `"${invalid}" is not a valid match pattern (e.g. https://admin.example.com/*)` };
+    if (!selector) return { error: 'Please enter a CSS selector for the elements to scan' };
+    if (typeof document !== 'undefined') {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (error) {
+        return { error: `"${selector}" is not a valid CSS selector` };
+      }
+    }
+    if (!EXTRACTION_SITES.hasOwnProperty(ruleSite)) return { error: `Unknown rule set "${ruleSite}"` };
+    if (!EXTRACTION_FIELDS.hasOwnProperty(field)) return { error: `Unknown field "${field}"` };
+
+    const id = CUSTOM_SITE_ID_PATTERN.test(site.id || '')
+      ? site.id
+      : `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    return { site: { id, name, matches, selector, ruleSite, field } };
+  }
+
+  /**
+   * Reduce a URL to its origin for host settings (http is allowed for self-hosted tools)
+   * @param {string} url - URL or host, e.g. https://grafana.example.com/d/abc
+   * @returns {string|null} Origin such as https://grafana.example.com, or null if invalid
+   */
+  function normalizeHostOrigin(url) {
+    const text = (url || '').trim();
+    if (!text) return null;
+    try {
+      const parsed = new URL(/^[a-z]+:\/\//i.test(text) ? text : `https://${text}`);
+      return /^https?:$/.test(parsed.protocol) ? parsed.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load the self-hosted Grafana origins from sync storage
+   * @returns {Promise<Array<string>>} Promise resolving to origins
+   */
+  async function loadGrafanaHosts() {
+    try {
+      if (!isContextValid()) return [];
+      const result = await storageGet('sync', [GRAFANA_HOSTS_KEY]);
+      const hosts = Array.isArray(result[GRAFANA_HOSTS_KEY]) ? result[GRAFANA_HOSTS_KEY] : [];
+      return hosts.map(normalizeHostOrigin).filter(Boolean);
+    } catch (error) {
+      console.error('[Tenant Extension] Error loading Grafana hosts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Load the custom sites from sync storage (invalid entries are dropped)
+   * @returns {Promise<Array<Object>>} Promise resolving to custom site definitions
+   */
+  async function loadCustomSites() {
+    try {
+      if (!isContextValid()) return [];
+      const result = await storageGet('sync', [CUSTOM_SITES_KEY]);
+      const sites = Array.isArray(result[CUSTOM_SITES_KEY]) ? result[CUSTOM_SITES_KEY] : [];
+      return sites.map(normalizeCustomSite).filter(entry => entry.site).map(entry => entry.site);
+    } catch (error) {
+      console.error('[Tenant Extension] Error loading custom sites:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Load the deep link templates from sync storage, falling back to the defaults
+   * @returns {Promise<Object>} Promise resolving to link key -> URL template
+   */
+  async function loadLinkTemplates() {
+    try {
+      if (isContextValid()) {
+        const result = await storageGet('sync', [LINK_TEMPLATES_KEY]);
+        const stored = result[LINK_TEMPLATES_KEY] || {};
+        const templates = { ...DEFAULT_LINK_TEMPLATES };
+        Object.keys(DEFAULT_LINK_TEMPLATES).forEach(key => {
+          if (typeof stored[key] === 'string') templates[key] = stored[key].trim();
+        });
+        return templates;
+      }
+    } catch (error) {
+      console.error('[Tenant Extension] Error loading link templates:', error);
+    }
+    return { ...DEFAULT_LINK_TEMPLATES };
+  }
+
+  /**
+   * Find the Datadog region of a host name
+   * @param {string} hostname - Host name, e.g. location.hostname
+   * @returns {string|null} Region key from DATADOG_REGIONS, or null if not a Datadog app host
+   */
+  function getDatadogRegion(hostname) {
+    const host = (hostname || '').toLowerCase();
+    const exact = DATADOG_REGIONS.find(region => region.host === host);
+    if (exact) return exact.key;
+
+    const subdomain = host.split('.')[0];
+    if (DATADOG_NON_APP_SUBDOMAINS.includes(subdomain)) return null;
+
+    // Custom sub-domains: acme.datadoghq.eu, acme.us3.datadoghq.com, acme.datadoghq.com
+    if (host.endsWith('.datadoghq.eu')) return 'eu1';
+    if (host.endsWith('.ddog-gov.com')) return 'us1-fed';
+    if (host.endsWith('.datadoghq.com')) {
+      const labels = host.slice(0, -'.datadoghq.com'.length).split('.');
+      const region = DATADOG_REGIONS.find(candidate => candidate.key === labels[labels.length - 1]);
+      return region ? region.key : 'us1';
+    }
+    return null;
+  }
+
+  /**
+   * Load the Datadog regions the adapter is enabled on (all by default)
+   * @returns {Promise<Array<string>>} Promise resolving to region keys
+   */
+  async function loadDatadogRegions() {
+    const all = DATADOG_REGIONS.map(region => region.key);
+    try {
+      if (isContextValid()) {
+        const result = await storageGet('sync', [DATADOG_REGIONS_KEY]);
+        const stored = result[DATADOG_REGIONS_KEY];
+        if (Array.isArray(stored)) return all.filter(key => stored.includes(key));
+      }
+    } catch (error) {
+      console.error('[Tenant Extension] Error loading Datadog regions:', error);
+    }
+    return all;
+  }
+
+  /**
+   * Get the Datadog host deep links should point at: the current page's host on Datadog,
+   * otherwise the last Datadog host visited
+   * @returns {Promise<string>} Promise resolving to a host, e.g. "app.datadoghq.eu"
+   */
+  async function loadDatadogHost() {
+    if (typeof location !== 'undefined' && getDatadogRegion(location.hostname)) {
+      return location.host;
+    }
+    try {
+      if (isContextValid()) {
+        const result = await storageGet('local', [DATADOG_HOST_KEY]);
+        const stored = result[DATADOG_HOST_KEY];
+        if (typeof stored === 'string' && getDatadogRegion(stored)) return stored;
+      }
+    } catch (error) {
+      console.error('[Tenant Extension] Error loading Datadog host:', error);
+    }
+    return DEFAULT_DATADOG_HOST;
+  }
+
+  /**
+   * Remember the Datadog host being used, for deep links opened from the other tools
+   * @param {string} host - Host of the current Datadog page
+   */
+  function rememberDatadogHost(host) {
+    if (!isContextValid() || !getDatadogRegion(host)) return;
+    chrome.storage.local.set({ [DATADOG_HOST_KEY]: host });
+  }
+
+  /**
+   * Build the deep links for a tenant from URL templates
+   * @param {string} tenantId - The tenant UUID
+   * @param {Object} templates - Link key -> URL template (see loadLinkTemplates)
+   * @param {string} datadogHost - Host substituted for {datadogHost} (see loadDatadogHost)
+   * @returns {Array<Object>} Links {key, site, label, url}; empty or non-https templates are skipped
+   */
+  function buildTenantLinks(tenantId, templates, datadogHost = DEFAULT_DATADOG_HOST) {
+    const record = tenantRecords[tenantId];
+    const values = {
+      tenantId: encodeURIComponent(tenantId),
+      tenantName: encodeURIComponent(record ? record.name : ''),
+      datadogHost: getDatadogRegion(datadogHost) ? datadogHost : DEFAULT_DATADOG_HOST
+    };
+
+    return TENANT_LINKS
+      .map(link => {
+        const template = templates[link.key] || '';
+        const url = template.replace(/\{(tenantId|tenantName|datadogHost)\}/g, (match, name) => values[name]);
+        return { ...link, url };
+      })
+      .filter(link => /^https:\/\//i.test(link.url));
+  }
+
+  /**
+   * Load the Datadog autocomplete filter template from sync storage, falling back to the default
+   * @returns {Promise<string>} Promise resolving to a template containing {tenantId}
+   */
+  async function loadDatadogFilterTemplate() {
+    try {
+      if (isContextValid()) {
+        const result = await storageGet('sync', [DATADOG_FILTER_TEMPLATE_KEY]);
+        const stored = typeof result[DATADOG_FILTER_TEMPLATE_KEY] === 'string'
+          ? result[DATADOG_FILTER_TEMPLATE_KEY].trim()
+          : '';
+        if (stored.includes('{tenantId}')) return stored;
+      }
+    } catch (error) {
+      console.error('[Tenant Extension] Error loading Datadog filter template:', error);
+    }
+    return DEFAULT_DATADOG_FILTER_TEMPLATE;
+  }
+
+  /**
+   * Load whether ClickHouse Cloud labels unmapped UUID database names
+   * @returns {Promise<boolean>} Promise resolving to the setting (false by default)
+   */
+  async function loadClickhouseShowUnmapped() {
+    try {
+      if (isContextValid()) {
+        const result = await storageGet('sync', [CLICKHOUSE_SHOW_UNMAPPED_KEY]);
+        return result[CLICKHOUSE_SHOW_UNMAPPED_KEY] === true;
+      }
+    } catch (error) {
+      console.error('[Tenant Extension] Error loading ClickHouse unmapped setting:', error);
+    }
+    return false;
+  }
+
+  /**
+   * Build a Datadog search filter for a tenant from a template
+   * @param {string} tenantId - The tenant UUID
+   * @param {string} template - Filter template (see loadDatadogFilterTemplate)
+   * @returns {string} The filter, e.g. "@accountId:<uuid>"
+   */
+  function buildDatadogFilter(tenantId, template) {
+    return template.replace(/\{tenantId\}/g, tenantId);
+  }
+
   /**
    * Get tenant name from mapping or return "Unknown"
    * @param {string} tenantId - The tenant UUID
@@ -90,6 +1489,27 @@
     return tenantMappings[tenantId] || 'Unknown';
   }
 
+  /**
+   * Find mapped tenants by display name (case-insensitive, ignoring surrounding whitespace)
+   * @param {string} name - The tenant name to look up
+   * @returns {string[]} Tenant UUIDs with that name: none if unmapped, several if ambiguous
+   */
+  function findTenantIdsByName(name) {
+    const needle = String(name || '').trim().toLowerCase();
+    if (!needle) return [];
+    return Object.keys(tenantMappings).filter(id => tenantMappings[id].trim().toLowerCase() === needle);
+  }
+
+  /**
+   * Get the full tenant record from mapping
+   * @param {string} tenantId - The tenant UUID
+   * @returns {Object|null} Copy of the record {version, name, environment, parentOrg, tier, color, notes, tags}, or null if unmapped
+   */
+  function getTenantRecord(tenantId) {
+    const record = tenantId ? tenantRecords[tenantId] : null;
+    return record ? { ...record, tags: [...record.tags] } : null;
+  }
+
   /**
    * Check if a string is a valid UUID
    * @param {string} str - String to check
@@ -101,34 +1521,70 @@
   }
 
   /**
-   * Extract tenant ID from a workflow ID (Temporal format)
-   * Format: {tenant-uuid}__{workflowType}__{other-uuid}__suffix
+   * Extract tenant ID from a workflow ID (Temporal format) using the Temporal workflow ID rules
+   * Default formats: {tenant-uuid}__{workflowType}__{other-uuid}__suffix and tenant:{tenant-uuid}:...
    * @param {string} workflowId - The workflow ID
    * @returns {string|null} The extracted tenant UUID or null
    */
   function extractTenantIdFromWorkflowId(workflowId) {
-    if (!workflowId) return null;
-    const parts = workflowId.split('__');
-    const potentialUUID = parts[0] || null;
-    return isValidUUID(potentialUUID) ? potentialUUID : null;
+    return extractTenantId('temporal', 'workflowId', workflowId);
+  }
+
+  /**
+   * Build a Temporal visibility query matching a tenant's workflows. Every Temporal workflow ID
+   * rule anchored at the start with a literal prefix before the UUID (e.g. "^tenant:(uuid)")
+   * contributes a WorkflowId STARTS_WITH clause, so the query finds the same workflow IDs
+   * extractTenantIdFromWorkflowId() recognizes.
+   * @param {string} tenantId - The tenant UUID
+   * @returns {string} e.g. WorkflowId STARTS_WITH "<uuid>", or several clauses joined with OR
+   */
+  function buildWorkflowIdQuery(tenantId) {
+    const clauses = new Set();
+    extractionRules.forEach(rule => {
+      if (rule.site !== '*' && rule.site !== 'temporal') return;
+      if (rule.field !== '*' && rule.field !== 'workflowId') return;
+
+      const match = /^\^((?:[^\\^$.|?*+()[\]{}]|\\[^\w])*)\(/.exec(rule.pattern);
+      if (!match) return;
+      const prefix = match[1].replace(/\\(.)/g, '$1');
+
+      // Only prefixes the rules really accept (the UUID may need a separator after it)
+      const accepted = [prefix + tenantId, `${prefix}${tenantId}__`, `${prefix}${tenantId}:`]
+        .some(workflowId => extractTenantIdFromWorkflowId(workflowId) === tenantId);
+      if (accepted) {
+        clauses.add(`WorkflowId STARTS_WITH "${(prefix + tenantId).replace(/["\\]/g, '\\$&')}"`);
+      }
+    });
+
+    if (clauses.size === 0) return `WorkflowId STARTS_WITH "${tenantId}"`;
+    if (clauses.size === 1) return Array.from(clauses)[0];
+    return `(${Array.from(clauses).join(' OR ')})`;
   }
 
   /**
    * Set up listener for storage changes to update mappings in real-time
+   * Owned by the page lifecycle, so it is registered once however often the site is re-enabled.
    * @param {Function} callback - Function to call when mappings change
    */
   function setupStorageListener(callback) {
     try {
-      chrome.storage.onChanged.addListener(async (changes, area) => {
-        // Check if context is still valid before processing changes
-        if (!isContextValid()) {
-          console.log('[Tenant Extension] Extension context invalidated, ignoring storage change');
+      getLifecycle().onStorageChanged(async (changes, area) => {
+        const userChanged = isUserMappingStorageChange(changes, area);
+        const remoteChanged = area === 'local' && changes[REMOTE_CACHE_KEY];
+        const paletteChanged = area === 'sync' && changes[BADGE_PALETTE_KEY];
+        const rulesChanged = area === 'sync' && changes[EXTRACTION_RULES_KEY];
+        if ((paletteChanged || rulesChanged) && !userChanged && !remoteChanged) {
+          console.log('[Tenant Extension]', paletteChanged ? 'Badge palette' : 'Extraction rules', 'updated');
+          await loadBadgePalette();
+          await loadExtractionRules();
+          if (callback) {
+            callback(tenantMappings);
+          }
           return;
         }
-        
-        if (area === 'sync' && changes.tenantMappings) {
-          console.log('[Tenant Extension] User mappings updated, reloading all mappings');
-          // Reload all mappings to ensure bundled + user merge is correct
+        if (userChanged || remoteChanged) {
+          console.log('[Tenant Extension]', userChanged ? 'User' : 'Remote', 'mappings updated, reloading all mappings');
+          // Reload all mappings to ensure bundled + remote + user merge is correct
           await loadTenantMappings();
           if (callback) {
             callback(tenantMappings);
@@ -140,14 +1596,778 @@
     }
   }
 
+  /**
+   * Add or update the name of a single user mapping, keeping the other record fields
+   * of an existing mapping. Content scripts re-render through setupStorageListener once the write lands.
+   * @param {string} tenantId - The tenant UUID
+   * @param {string} tenantName - The tenant name
+   * @returns {Promise<Object>} Resolves to {fallback: boolean}, rejects on invalid input or storage error
+   */
+  async function saveUserMapping(tenantId, tenantName) {
+    const name = (tenantName || '').trim();
+    if (!isValidUUID(tenantId)) {
+      throw new Error('Tenant ID should be a valid UUID format');
+    }
+    if (!name) {
+      throw new Error('Please enter a tenant name');
+    }
+
+    const existing = tenantRecords[tenantId];
+    const record = existing ? normalizeTenantRecord({ ...existing, name }) : normalizeTenantRecord(name);
+    const result = await updateUserMappings({ [tenantId]: record });
+
+    // Update the local cache right away so callers can re-render without waiting
+    setCachedRecords({ ...tenantRecords, [tenantId]: record });
+    return result;
+  }
+
+  /**
+   * Collect tenant IDs detected on the page
+   * Content scripts stamp data-tenant-id on every element they inspected that holds a
+   * tenant UUID (mapped or not). Badges nested inside such an element are not counted twice.
+   * @param {Element|Document} rootNode - Where to look (default: document)
+   * @returns {Array<Object>} Entries {id, name, mapped, count} sorted mapped-first, then by name
+   */
+  function collectDetectedTenants(rootNode = document) {
+    const counts = new Map();
+    rootNode.querySelectorAll('[data-tenant-id]').forEach(el => {
+      const tenantId = el.getAttribute('data-tenant-id');
+      if (!isValidUUID(tenantId)) return;
+      if (el.parentElement && el.parentElement.closest('[data-tenant-id]')) return;
+      counts.set(tenantId, (counts.get(tenantId) || 0) + 1);
+    });
+
+    return Array.from(counts.entries())
+      .map(([id, count]) => {
+        const mapped = Object.prototype.hasOwnProperty.call(tenantMappings, id);
+        return { id, name: mapped ? tenantMappings[id] : null, mapped, count };
+      })
+      .sort((a, b) => {
+        if (a.mapped !== b.mapped) return a.mapped ? -1 : 1;
+        return a.mapped ? a.name.localeCompare(b.name) : b.count - a.count;
+      });
+  }
+
+  /**
+   * Answer the toolbar popup's request for tenants detected on this page
+   * @param {string} siteKey - The site key reported back to the popup
+   */
+  function setupDetectedTenantsListener(siteKey) {
+    try {
+      getLifecycle().onMessage((message, sender, sendResponse) => {
+        if (!message || message.type !== 'getDetectedTenants') return false;
+        sendResponse({ site: siteKey, tenants: collectDetectedTenants() });
+        return false;
+      });
+    } catch (error) {
+      console.error('[Tenant Extension] Error setting up detected tenants listener:', error);
+    }
+  }
+
+  /**
+   * Show a short-lived notice in the page (bottom-right corner)
+   * @param {string} text - Message to show
+   * @param {string} type - 'info' or 'error'
+   */
+  function showTenantNotice(text, type = 'info') {
+    const notice = document.createElement('div');
+    notice.className = `tenant-ext-notice tenant-ext-notice-${type}`;
+    notice.textContent = text;
+    document.body.appendChild(notice);
+    const lifecycle = getLifecycle();
+    lifecycle.setTimeout(lifecycle.add(() => notice.remove()), 3000);
+  }
+
+  /**
+   * Open the in-page editor for naming a tenant and save the result as a user mapping
+   * Positioned under the anchor element when given, otherwise at the top of the viewport.
+   * @param {Object} options - {tenantId: string, anchor?: Element}
+   * @returns {Promise<string|null>} The saved name, or null if cancelled
+   */
+  function openTenantEditor({ tenantId, anchor }) {
+    // Only one editor at a time
+    document.querySelectorAll('.tenant-ext-editor').forEach(el => el.remove());
+
+    const currentRecord = tenantRecords[tenantId];
+    const currentName = currentRecord ? currentRecord.name : '';
+
+    const editor = document.createElement('form');
+    editor.className = 'tenant-ext-editor';
+    editor.innerHTML = `
+      <div class="tenant-ext-editor-title"></div>
+      <div class="tenant-ext-editor-id"></div>
+      <input type="text" class="tenant-ext-editor-input" placeholder="Tenant name" />
+      <div class="tenant-ext-editor-error"></div>
+      <div class="tenant-ext-editor-actions">
+        <button type="button" class="tenant-ext-editor-cancel">Cancel</button>
+        <button type="submit" class="tenant-ext-editor-save">Save</button>
+      </div>
+    `;
+    editor.querySelector('.tenant-ext-editor-title').textContent = currentRecord
+      ? `Mapped to "${formatTenantLabel(currentRecord)}"`
+      : 'Name this tenant';
+    editor.querySelector('.tenant-ext-editor-id').textContent = tenantId;
+
+    const input = editor.querySelector('.tenant-ext-editor-input');
+    const errorDiv = editor.querySelector('.tenant-ext-editor-error');
+    input.value = currentName;
+
+    if (anchor) {
+      const rect = anchor.getBoundingClientRect();
+      editor.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - 180)}px`;
+      editor.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 340))}px`;
+    }
+
+    document.body.appendChild(editor);
+    input.focus();
+    input.select();
+
+    return new Promise((resolve) => {
+      const lifecycle = getLifecycle();
+      let closed = false;
+      let stopOutsideClick = null;
+      let removeOnDispose = null;
+
+      const close = (result) => {
+        if (closed) return;
+        closed = true;
+        stopOutsideClick();
+        removeOnDispose();
+        editor.remove();
+        resolve(result);
+      };
+
+      const handleOutsideClick = (e) => {
+        if (!editor.contains(e.target)) close(null);
+      };
+
+      // Keep page shortcuts and row click handlers away from the editor
+      ['click', 'keydown', 'keyup', 'keypress'].forEach(type => {
+        editor.addEventListener(type, (e) => e.stopPropagation());
+      });
+
+      editor.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') close(null);
+      });
+      editor.querySelector('.tenant-ext-editor-cancel').addEventListener('click', () => close(null));
+      editor.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = input.value.trim();
+        try {
+          const { fallback } = await saveUserMapping(tenantId, name);
+          if (fallback) {
+            showTenantNotice('Sync storage is full: this mapping was saved on this device only', 'error');
+          }
+          close(name);
+        } catch (error) {
+          errorDiv.textContent = error.message;
+        }
+      });
+
+      stopOutsideClick = lifecycle.listen(document, 'mousedown', handleOutsideClick, true);
+      // The editor goes away with the page lifecycle (e.g. the extension context was invalidated)
+      removeOnDispose = lifecycle.add(() => close(null));
+    });
+  }
+
+  /**
+   * Handle the background's context menu clicks on selected text
+   * Shows the current mapping or lets the user create one for a selected tenant UUID.
+   */
+  function setupContextMenuListener() {
+    // Called by every adapter running in the page; one editor per menu click
+    if (contextMenuListening) return;
+    contextMenuListening = true;
+    try {
+      getLifecycle().onMessage((message, sender, sendResponse) => {
+        if (!message || message.type !== 'tenantContextMenu') return false;
+
+        const tenantId = (message.selectionText || '').trim();
+        if (!UUID_PATTERN.test(tenantId)) {
+          showTenantNotice(`"${tenantId.substring(0, 40)}" is not a valid tenant UUID`, 'error');
+          return false;
+        }
+
+        const selection = window.getSelection();
+        const anchor = selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+        openTenantEditor({ tenantId, anchor });
+        return false;
+      });
+    } catch (error) {
+      console.error('[Tenant Extension] Error setting up context menu listener:', error);
+    }
+  }
+
+  /**
+   * Create a scanner that annotates only the parts of the page that changed. Subtrees queued
+   * from MutationObserver batches (or whole pages via scan()) are walked with a TreeWalker over
+   * their text nodes in idle callbacks, a few milliseconds at a time, and the parent element of
+   * every accepted text node is visited once per scan.
+   * @param {Object} options
+   * @param {string} options.name - Scanner name, used for timing stats and logs
+   * @param {function(Element): void} options.visit - Annotates an element holding accepted text
+   * @param {function(Text): boolean} [options.acceptText] - Cheap check of a text node (default: any non-blank text)
+   * @param {string} [options.skipSelector] - Subtrees that are never walked (e.g. the script's own labels)
+   * @param {function(): void} [options.onScanComplete] - Called after each scan empties the queue
+   * @returns {Object} Scanner {queueMutations(mutations), scan(root), cancel(), getStats()}
+   */
+  function createIncrementalScanner({ name, visit, acceptText, skipSelector, onScanComplete }) {
+    const accept = acceptText || (node => node.textContent.trim().length > 0);
+    const pending = new Set();
+    let walker = null;
+    let visited = new Set();
+    let scheduled = null;
+    let current = null;
+    const stats = { scans: 0, totalMs: 0, maxMs: 0, last: null };
+    scannerStats[name] = stats;
+
+    const requestIdle = root.requestIdleCallback
+      ? callback => root.requestIdleCallback(callback, { timeout: SCAN_IDLE_TIMEOUT_MS })
+      : callback => root.setTimeout(() => callback({ timeRemaining: () => SCAN_BUDGET_MS, didTimeout: true }), 1);
+    const cancelIdle = root.cancelIdleCallback ? id => root.cancelIdleCallback(id) : id => root.clearTimeout(id);
+
+    function isSkipped(node) {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return !element || !element.isConnected || Boolean(skipSelector && element.closest(skipSelector));
+    }
+
+    function createWalker(node) {
+      return document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: candidate => {
+          if (candidate.nodeType === Node.ELEMENT_NODE) {
+            // Prune skipped subtrees; other elements are only walked through
+            return skipSelector && candidate.matches(skipSelector) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+          }
+          return accept(candidate) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+        }
+      });
+    }
+
+    // Visit the parent of an accepted text node, once per scan
+    function visitText(node) {
+      const element = node.parentElement;
+      current.nodes++;
+      if (!element || visited.has(element)) return;
+      visited.add(element);
+      current.elements++;
+      try {
+        visit(element);
+      } catch (error) {
+        console.error(`[Tenant Extension] ${name} scanner failed on an element:`, error);
+      }
+    }
+
+    function schedule() {
+      if (scheduled === null) {
+        scheduled = requestIdle(runSlice);
+      }
+    }
+
+    // Walk pending subtrees until the time budget is used up, then yield
+    function runSlice(deadline) {
+      scheduled = null;
+      const sliceStart = performance.now();
+      const budget = Math.min(SCAN_BUDGET_MS, Math.max(deadline.timeRemaining(), deadline.didTimeout ? SCAN_BUDGET_MS : 1));
+      current.slices++;
+
+      while (performance.now() - sliceStart < budget) {
+        if (!walker) {
+          const next = pending.values().next();
+          if (next.done) break;
+          pending.delete(next.value);
+          if (isSkipped(next.value)) continue;
+          if (next.value.nodeType === Node.TEXT_NODE) {
+            if (accept(next.value)) visitText(next.value);
+            continue;
+          }
+          walker = createWalker(next.value);
+        }
+        if (walker.nextNode()) {
+          visitText(walker.currentNode);
+        } else {
+          walker = null;
+        }
+      }
+      current.activeMs += performance.now() - sliceStart;
+
+      if (walker || pending.size > 0) {
+        schedule();
+        return;
+      }
+      finishScan();
+    }
+
+    function finishScan() {
+      const scan = current;
+      scan.wallMs = performance.now() - scan.startedAt;
+      stats.scans++;
+      stats.totalMs += scan.activeMs;
+      stats.maxMs = Math.max(stats.maxMs, scan.activeMs);
+      stats.last = {
+        nodes: scan.nodes,
+        elements: scan.elements,
+        slices: scan.slices,
+        activeMs: Math.round(scan.activeMs * 10) / 10,
+        wallMs: Math.round(scan.wallMs * 10) / 10
+      };
+      current = null;
+      visited = new Set();
+
+      try {
+        performance.measure(`tenant-scan:${name}`, { start: scan.startedAt, end: scan.startedAt + scan.wallMs });
+      } catch (error) {
+        // User timing is optional
+      }
+      if (scan.activeMs >= SLOW_SCAN_MS) {
+        console.log(`[Tenant Extension] Slow ${name} scan:`, stats.last);
+      }
+      if (onScanComplete) onScanComplete();
+    }
+
+    // Queue a subtree (element or text node) for the next slice
+    function queue(node) {
+      if (!current) {
+        current = { startedAt: performance.now(), nodes: 0, elements: 0, slices: 0, activeMs: 0 };
+      }
+      if (pending.size >= SCAN_MAX_PENDING_ROOTS) {
+        // Too many small changes: one walk over the page is cheaper than tracking them
+        pending.clear();
+        walker = null;
+        node = document.body;
+      } else if (node.nodeType === Node.TEXT_NODE && node.parentElement) {
+        // Text changed after its element was visited earlier in this scan
+        visited.delete(node.parentElement);
+      }
+      pending.add(node);
+      schedule();
+    }
+
+    return {
+      /**
+       * Queue the nodes added or changed in a MutationObserver batch
+       * @param {MutationRecord[]} mutations
+       */
+      queueMutations(mutations) {
+        mutations.forEach(mutation => {
+          if (mutation.type === 'characterData') {
+            queue(mutation.target);
+            return;
+          }
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
+              queue(node);
+            }
+          });
+        });
+      },
+
+      /**
+       * Queue a whole subtree (default: the page), e.g. on load or after mappings change
+       * @param {Node} [node]
+       */
+      scan(node = document.body) {
+        queue(node);
+      },
+
+      /** Drop pending work, e.g. when the site is disabled */
+      cancel() {
+        if (scheduled !== null) cancelIdle(scheduled);
+        scheduled = null;
+        pending.clear();
+        walker = null;
+        current = null;
+        visited = new Set();
+      },
+
+      /** @returns {Object} Timing {scans, totalMs, maxMs, last: {nodes, elements, slices, activeMs, wallMs}} */
+      getStats() {
+        return { ...stats, last: stats.last ? { ...stats.last } : null };
+      }
+    };
+  }
+
+  /**
+   * Timing of the incremental scanners running in this page, for comparing scan cost on large
+   * pages (run TenantNameExtension.getScannerStats() in the content script's console context)
+   * @returns {Object} Scanner name -> {scans, totalMs, maxMs, last}
+   */
+  function getScannerStats() {
+    return Object.fromEntries(Object.entries(scannerStats).map(([name, stats]) => [
+      name,
+      { ...stats, totalMs: Math.round(stats.totalMs * 10) / 10, maxMs: Math.round(stats.maxMs * 10) / 10 }
+    ]));
+  }
+
+  /**
+   * Text of an element's own text nodes, excluding its children (and so the labels appended to it)
+   * @param {Element} element
+   * @returns {string} Trimmed text
+   */
+  function getDirectTextContent(element) {
+    let text = '';
+    for (const node of element.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.textContent;
+      }
+    }
+    return text.trim();
+  }
+
+  /**
+   * Create a tenant name label tinted with the tenant's badge color
+   * @param {string} tenantId - The tenant UUID
+   * @param {Object} [options]
+   * @param {string} [options.className] - Label classes (default: tenant-name-label)
+   * @param {string} [options.text] - Label text (default: the tenant name)
+   * @returns {HTMLSpanElement} The label, not yet in the page
+   */
+  function createTenantLabel(tenantId, { className = 'tenant-name-label', text } = {}) {
+    const label = document.createElement('span');
+    label.className = className;
+    label.textContent = text === undefined ? getTenantName(tenantId) : text;
+    applyTenantBadge(label, tenantId);
+    return label;
+  }
+
+  // Default renderer: a label for the first mapped tenant, appended to the element
+  function renderTenantLabel(element, tenantIds, target) {
+    const tenantId = tenantIds.find(id => getTenantName(id) !== 'Unknown');
+    if (!tenantId) return null;
+    const label = createTenantLabel(tenantId, target.label);
+    element.appendChild(label);
+    return label;
+  }
+
+  /**
+   * Create the annotation engine of a content script. Site adapters register targets, each with
+   * an extractor (element value -> tenant IDs) and an optional renderer (tenant IDs -> nodes added
+   * to the page). The engine remembers every element it inspected and every node it added:
+   * unchanged values are skipped, changed values are re-rendered, refresh() re-renders everything
+   * (mappings changed) and clear() removes every trace (site disabled).
+   *
+   * A target is found either by selector (every pass queries the page) or by the text it holds
+   * (the incremental scanner hands over the parents of matching text nodes).
+   * @param {Object} options
+   * @param {string} options.name - Adapter name, used for logs and scan timings
+   * @param {string} [options.skipSelector] - Subtrees never annotated (editors, the adapter's own UI)
+   * @param {number} [options.debounceMs] - Delay of the selector pass after page changes
+   * @param {function(): void} [options.onUpdate] - Called after each pass (e.g. to refresh summaries)
+   * @returns {Object} Annotator {register, process, observe, refresh, clear, getAnnotations, isLeaf}
+   */
+  function createAnnotator({ name, skipSelector, debounceMs = ANNOTATION_DEBOUNCE_MS, onUpdate }) {
+    const selectorTargets = [];
+    const textTargets = [];
+    // Every element inspected -> {target, value, tenantIds, nodes}; unchanged values are skipped
+    let seen = new WeakMap();
+    // Elements the engine changed (data-tenant-id, rendered nodes), for re-rendering and cleanup
+    const annotations = new Map();
+    // Nodes added by renderers, so their insertion doesn't trigger another pass
+    const ownNodes = new WeakSet();
+    let scanner = null;
+    let observer = null;
+    let debounceTimer = null;
+
+    function isSkipped(element) {
+      return Boolean(skipSelector && element.closest(skipSelector));
+    }
+
+    // The element a target annotates for a candidate: match() may return a boolean or another element
+    function resolveHost(target, element) {
+      if (!target.match) return element;
+      const host = target.match(element);
+      if (host === true) return element;
+      return host instanceof Element ? host : null;
+    }
+
+    function removeAnnotation(element, record) {
+      record.nodes.forEach(node => node.remove());
+      record.nodes = [];
+      if (annotations.get(element) !== record) return;
+      annotations.delete(element);
+      element.removeAttribute('data-tenant-id');
+      element.removeAttribute(ANNOTATION_ATTRIBUTE);
+      if (record.target.undo) record.target.undo(element);
+    }
+
+    function render(element, record, found) {
+      const { target } = record;
+      record.tenantIds = Array.from(new Set([].concat(found || []).filter(Boolean)));
+      if (record.tenantIds.length === 0 && !target.always) return;
+
+      annotations.set(element, record);
+      element.setAttribute(ANNOTATION_ATTRIBUTE, target.name);
+      // Record the tenant ID for the toolbar popup, even if it is unmapped
+      if (record.tenantIds.length > 0) {
+        element.setAttribute('data-tenant-id', record.tenantIds[0]);
+      }
+
+      const mapped = record.tenantIds.some(id => getTenantName(id) !== 'Unknown');
+      if (!mapped && !target.unmapped && !target.always) return;
+
+      try {
+        const created = (target.render || renderTenantLabel)(element, record.tenantIds, target);
+        record.nodes = [].concat(created || []).filter(Boolean);
+        record.nodes.forEach(node => ownNodes.add(node));
+      } catch (error) {
+        console.error(`[Tenant Extension] ${name} failed to render ${target.name}:`, error);
+      }
+    }
+
+    // Annotate an element, unless its value and annotation are unchanged since last time
+    function annotate(target, element) {
+      const value = target.read ? target.read(element) : getDirectTextContent(element);
+      const previous = seen.get(element);
+      if (previous && previous.target === target && previous.value === value &&
+          previous.nodes.every(node => node.isConnected)) {
+        return;
+      }
+      if (previous) removeAnnotation(element, previous);
+
+      const record = { target, value, tenantIds: [], nodes: [] };
+      seen.set(element, record);
+
+      let found;
+      try {
+        found = target.extract(value, element);
+      } catch (error) {
+        console.error(`[Tenant Extension] ${name} failed to extract ${target.name}:`, error);
+        return;
+      }
+
+      // Extractors may look tenants up asynchronously; drop results for recycled elements
+      if (found && typeof found.then === 'function') {
+        found.then(result => {
+          if (seen.get(element) === record && element.isConnected) {
+            render(element, record, result);
+            if (onUpdate) onUpdate();
+          }
+        }, error => {
+          console.error(`[Tenant Extension] ${name} failed to extract ${target.name}:`, error);
+          // Forget the pending value, so the next pass tries again
+          if (seen.get(element) === record) seen.delete(element);
+        });
+        return;
+      }
+      render(element, record, found);
+    }
+
+    // Forget annotations of elements removed from the page (nodes placed outside them go too)
+    function pruneDetached() {
+      annotations.forEach((record, element) => {
+        if (!element.isConnected) removeAnnotation(element, record);
+      });
+    }
+
+    // Scanner callback: the parent element of a text node that may hold a tenant ID
+    function visitScanned(element) {
+      if (isSkipped(element)) return;
+      for (const target of textTargets) {
+        const host = resolveHost(target, element);
+        if (host && !isSkipped(host)) {
+          annotate(target, host);
+          return;
+        }
+      }
+
+      // Text that no longer matches: a value that changed loses its annotation
+      const previous = seen.get(element);
+      if (previous && textTargets.includes(previous.target)) {
+        removeAnnotation(element, previous);
+        seen.delete(element);
+      }
+    }
+
+    /**
+     * Register a target
+     * @param {Object} target
+     * @param {string} target.name - Stamped on annotated elements as data-tenant-annotation
+     * @param {string} [target.selector] - Elements annotated on every pass
+     * @param {function(string): boolean} [target.matchText] - Cheap check of text nodes, for
+     *   targets found by the incremental scanner instead of a selector
+     * @param {function(Element): (boolean|Element|null)} [target.match] - Accept a candidate, or
+     *   return the element to annotate instead (e.g. the enclosing button)
+     * @param {function(Element): string} [target.read] - The element's value (default: its own text)
+     * @param {function(string, Element): (string|string[]|null|Promise)} target.extract - Tenant IDs in the value
+     * @param {function(Element, string[], Object): (Node|Node[]|null)} [target.render] - Add the
+     *   annotation and return the nodes added (default: a label for the first mapped tenant)
+     * @param {Object} [target.label] - createTenantLabel() options of the default renderer
+     * @param {boolean} [target.unmapped] - Render unmapped tenants too
+     * @param {boolean} [target.always] - Render even when the value holds no tenant ID
+     * @param {function(Element): void} [target.undo] - Revert other changes made by the renderer
+     */
+    function register(target) {
+      if (target.selector) {
+        selectorTargets.push(target);
+        return;
+      }
+      textTargets.push(target);
+      if (!scanner) {
+        scanner = createIncrementalScanner({
+          name,
+          skipSelector,
+          // Matching text, and annotated values that changed to something else
+          acceptText: node => textTargets.some(candidate => candidate.matchText(node.textContent)) ||
+            Boolean(node.parentElement && annotations.has(node.parentElement)),
+          visit: visitScanned,
+          onScanComplete: () => {
+            pruneDetached();
+            if (onUpdate) onUpdate();
+          }
+        });
+      }
+    }
+
+    // Annotate every element of the selector targets
+    function processSelectorTargets() {
+      pruneDetached();
+
+      selectorTargets.forEach(target => {
+        const hosts = new Set();
+        document.querySelectorAll(target.selector).forEach(element => {
+          if (isSkipped(element)) return;
+          const host = resolveHost(target, element);
+          if (host) hosts.add(host);
+        });
+        hosts.forEach(host => annotate(target, host));
+
+        // Elements that stopped matching (e.g. a JSON row whose key changed) lose their annotation
+        annotations.forEach((record, element) => {
+          if (record.target === target && !hosts.has(element)) {
+            removeAnnotation(element, record);
+            seen.delete(element);
+          }
+        });
+      });
+
+      if (onUpdate) onUpdate();
+    }
+
+    /**
+     * Annotate the whole page: selector targets right away, text targets in idle time
+     */
+    function process() {
+      processSelectorTargets();
+      if (scanner) scanner.scan(document.body);
+    }
+
+    // Page changes: the scanner already has the changed nodes, so only selector targets need a pass
+    function scheduleProcess() {
+      if (debounceTimer) clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => {
+        debounceTimer = null;
+        processSelectorTargets();
+      }, debounceMs);
+    }
+
+    /**
+     * Follow page changes: changed nodes go to the scanner, and selector targets get a debounced pass
+     * @param {Object} [scope] - Lifecycle scope (e.g. the site's session) that owns the observer;
+     *   disposing it clears every annotation
+     */
+    function observe(scope) {
+      if (observer) return;
+      const handleMutations = (mutations) => {
+        let relevant = false;
+        mutations.forEach(mutation => {
+          // Ignore our own annotations and skipped subtrees (editors, the adapter's own UI)
+          const parent = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+          if (!parent || isSkipped(parent)) return;
+
+          if (mutation.type === 'characterData') {
+            relevant = true;
+            if (scanner) scanner.scan(mutation.target);
+            return;
+          }
+          mutation.addedNodes.forEach(node => {
+            if (ownNodes.has(node)) return;
+            if (node.nodeType === Node.ELEMENT_NODE && isSkipped(node)) return;
+            if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.TEXT_NODE) return;
+            relevant = true;
+            if (scanner) scanner.scan(node);
+          });
+        });
+        if (relevant && selectorTargets.length > 0) scheduleProcess();
+      };
+
+      const options = {
+        childList: true,
+        subtree: true,
+        characterData: true // Values updated in place (tooltips, recycled grid cells)
+      };
+      if (scope) {
+        observer = scope.observe(document.body, options, handleMutations);
+        scope.add(clear);
+      } else {
+        observer = new MutationObserver(handleMutations);
+        observer.observe(document.body, options);
+      }
+    }
+
+    /**
+     * Re-render every annotation, e.g. after mappings or extraction rules changed
+     */
+    function refresh() {
+      annotations.forEach((record, element) => removeAnnotation(element, record));
+      seen = new WeakMap();
+      process();
+    }
+
+    /**
+     * Remove every annotation and stop following the page, e.g. when the site is disabled
+     */
+    function clear() {
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+      if (debounceTimer) {
+        clearTimeout(debounceTimer);
+        debounceTimer = null;
+      }
+      if (scanner) scanner.cancel();
+      annotations.forEach((record, element) => removeAnnotation(element, record));
+      seen = new WeakMap();
+    }
+
+    /**
+     * Current annotations, optionally of a single target
+     * @param {string} [targetName]
+     * @returns {Array<Object>} Entries {element, target, tenantIds}
+     */
+    function getAnnotations(targetName) {
+      return Array.from(annotations.entries())
+        .filter(([element, record]) => element.isConnected && (!targetName || record.target.name === targetName))
+        .map(([element, record]) => ({ element, target: record.target.name, tenantIds: record.tenantIds }));
+    }
+
+    /**
+     * Whether an element is a leaf: our own annotations don't count as children
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    function isLeaf(element) {
+      return Array.from(element.children).every(child => ownNodes.has(child));
+    }
+
+    return { register, process, observe, refresh, clear, getAnnotations, isLeaf };
+  }
+
   /**
    * Get current tenant mappings from cache
-   * @returns {Object} Current tenant mappings
+   * @returns {Object} Current tenant mappings (tenant ID -> display name)
    */
   function getCachedMappings() {
     return tenantMappings;
   }
 
+  /**
+   * Get current tenant records from cache
+   * @returns {Object} Current tenant records (tenant ID -> record)
+   */
+  function getCachedRecords() {
+    return tenantRecords;
+  }
+
   /**
    * Wait for TenantNameExtension to be ready
    * Returns a Promise that resolves to the TenantNameExtension object once it's ready.
@@ -159,9 +2379,9 @@
   function waitForReady(maxRetries = 50, retryDelay = 100) {
     return new Promise((resolve, reject) => {
       // Check if already ready
-      if (window.TenantNameExtension && 
-          typeof window.TenantNameExtension.loadTenantMappings === 'function') {
-        resolve(window.TenantNameExtension);
+      if (root.TenantNameExtension && 
+          typeof root.TenantNameExtension.loadTenantMappings === 'function') {
+        resolve(root.TenantNameExtension);
         return;
       }
 
@@ -170,9 +2390,9 @@
       const checkReady = () => {
         attempts++;
         
-        if (window.TenantNameExtension && 
-            typeof window.TenantNameExtension.loadTenantMappings === 'function') {
-          resolve(window.TenantNameExtension);
+        if (root.TenantNameExtension && 
+            typeof root.TenantNameExtension.loadTenantMappings === 'function') {
+          resolve(root.TenantNameExtension);
           return;
         }
 
@@ -223,7 +2443,7 @@
       });
 
       // Use defaults if siteSettings is empty
-      const defaults = { temporal: true, clickhouse: true, datadog: true };
+      const defaults = Object.fromEntries(BUILT_IN_SITES.map(key => [key, true]));
       const settings = Object.keys(siteSettings).length > 0 ? siteSettings : defaults;
 
       // Check if site is disabled
@@ -254,13 +2474,7 @@
         return;
       }
 
-      chrome.storage.onChanged.addListener(async (changes, area) => {
-        // Check if context is still valid before processing changes
-        if (!isContextValid()) {
-          console.log('[Tenant Extension] Extension context invalidated, ignoring site settings change');
-          return;
-        }
-
+      getLifecycle().onStorageChanged(async (changes, area) => {
         // Only process sync area changes for siteSettings
         if (area === 'sync' && changes.siteSettings) {
           try {
@@ -294,18 +2508,97 @@
   }
 
   // Export utilities to global namespace
-  window.TenantNameExtension = {
+  root.TenantNameExtension = {
     loadTenantMappings,
+    loadBundledMappings,
+    loadRemoteMappings,
     getTenantName,
+    findTenantIdsByName,
+    getTenantRecord,
+    normalizeTenantRecord,
+    compactTenantRecord,
+    formatTenantLabel,
+    normalizeMappingLayer,
     isValidUUID,
     extractTenantIdFromWorkflowId,
+    buildWorkflowIdQuery,
+    extractTenantId,
+    normalizeExtractionRules,
+    loadExtractionRules,
     setupStorageListener,
     getCachedMappings,
+    getCachedRecords,
+    getLifecycle,
+    createIncrementalScanner,
+    getScannerStats,
+    getDirectTextContent,
+    createTenantLabel,
+    createAnnotator,
     isContextValid,
     UUID_PATTERN,
     waitForReady,
     initSite,
-    setupSiteSettingsListener
+    setupSiteSettingsListener,
+    loadUserMappings,
+    updateUserMappings,
+    saveUserMapping,
+    migrateLegacyMappings,
+    upgradeStoredRecords,
+    reconcileMappingShardChanges,
+    flushFallbackMappings,
+    getMappingStorageFallback,
+    isUserMappingStorageChange,
+    collectDetectedTenants,
+    setupDetectedTenantsListener,
+    showTenantNotice,
+    openTenantEditor,
+    setupContextMenuListener,
+    normalizeBadgePalette,
+    loadBadgePalette,
+    getRecordBadgeColor,
+    getBadgeTextColor,
+    applyTenantBadge,
+    clearTenantBadge,
+    isValidMatchPattern,
+    matchPatternToRegExp,
+    normalizeCustomSite,
+    loadCustomSites,
+    normalizeHostOrigin,
+    loadGrafanaHosts,
+    loadLinkTemplates,
+    buildTenantLinks,
+    getDatadogRegion,
+    loadDatadogRegions,
+    loadDatadogHost,
+    rememberDatadogHost,
+    loadDatadogFilterTemplate,
+    loadClickhouseShowUnmapped,
+    buildDatadogFilter,
+    REMOTE_SOURCE_KEY,
+    REMOTE_CACHE_KEY,
+    MAPPING_FALLBACK_KEY,
+    TENANT_RECORD_VERSION,
+    TENANT_ENVIRONMENTS,
+    ENVIRONMENT_LABELS,
+    BADGE_PALETTE_KEY,
+    DEFAULT_BADGE_PALETTE,
+    EXTRACTION_RULES_KEY,
+    EXTRACTION_SITES,
+    EXTRACTION_FIELDS,
+    DEFAULT_EXTRACTION_RULES,
+    CUSTOM_SITES_KEY,
+    BUILT_IN_SITES,
+    GRAFANA_HOSTS_KEY,
+    LINK_TEMPLATES_KEY,
+    TENANT_LINKS,
+    DEFAULT_LINK_TEMPLATES,
+    DATADOG_REGIONS,
+    DATADOG_REGIONS_KEY,
+    DATADOG_HOST_KEY,
+    DATADOG_FILTER_TEMPLATE_KEY,
+    CLICKHOUSE_SHOW_UNMAPPED_KEY,
+    DATADOG_FILTER_PRESETS,
+    DEFAULT_DATADOG_FILTER_TEMPLATE
   };
 
   console.log('[Tenant Extension] Shared utilities loaded');